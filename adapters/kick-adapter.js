@@ -0,0 +1,318 @@
+// Stream Chat Analyser - Kick Adapter
+
+class KickAdapter extends PlatformAdapter {
+  constructor() {
+    super();
+    this.id = 'kick';
+  }
+
+  matches(location) {
+    // Kick.com channel pages have format /channelname
+    const pathParts = location.pathname.split('/').filter(p => p);
+    return location.hostname === 'kick.com' && pathParts.length === 1;
+  }
+
+  isValidLivestreamPage(location) {
+    // Check if it's a Kick channel page
+    const kickRegex = /^https:\/\/kick\.com\/[a-zA-Z0-9_-]+$/;
+    return kickRegex.test(location.href);
+  }
+
+  getChannelName(location, doc = document) {
+    const pathParts = new URL(location.href).pathname.split('/').filter(part => part.length > 0);
+    if (pathParts.length > 0) {
+      return pathParts[0].charAt(0).toUpperCase() + pathParts[0].slice(1);
+    }
+    return 'Kick Streamer';
+  }
+
+  getChatContainerSelectors() {
+    // Kick chat selectors - more comprehensive
+    return [
+      '#chatroom-messages',
+      '#chatroom-messages .group.relative',
+      '#chatroom-messages [class*="message"]',
+      '.chat-messages',
+      '.chat-container .messages',
+      '.chat-room__messages',
+      '.chat-messages-container',
+      '[class*="chat-messages"]',
+      '[class*="messages-container"]',
+      '[data-testid*="chat"]',
+      '[role="log"]',
+      '.chat-log',
+      '.messages-list',
+      '#messages-container'
+    ];
+  }
+
+  getMessageSelectors() {
+    return [
+      '.font-normal.leading-\\[1\\.55\\]',
+      '.group.relative .font-normal',
+      '[class*="font-normal"]',
+      '.chat-message',
+      '.message',
+      '[class*="message"]',
+      '[data-testid*="message"]',
+      '.chat-line',
+      '.message-item'
+    ];
+  }
+
+  isMessageElement(element) {
+    if (!element || (!element.hasAttribute && !element.classList)) return false;
+    return element.classList.contains('chat-message') ||
+           element.classList.contains('message') ||
+           element.classList.contains('font-normal') ||
+           element.classList.contains('leading-[1.55]') ||
+           element.classList.contains('chat-line') ||
+           element.classList.contains('message-item') ||
+           element.hasAttribute('data-testid') && element.getAttribute('data-testid').includes('message');
+  }
+
+  isSystemLine(element) {
+    // Sub, gift, host and mod lines share the chat entries' markup; only their wording tells
+    // them apart, and unlike chat messages they have no "name: " prefix
+    if (!element || !element.matches || !element.matches('[data-chat-entry], .group.relative')) return false;
+    return !/^(?:\d{1,2}:\d{2}(?:\s?[AP]M)?\s+)?[^\s:]+:\s/i.test((element.textContent || '').replace(/\s+/g, ' ').trim());
+  }
+
+  isEventElement(element) {
+    return this.isSystemLine(element) && KickEventParser.parse(element.textContent) !== null;
+  }
+
+  isModerationElement(element) {
+    return this.isSystemLine(element) && ModerationParser.parse(element.textContent) !== null;
+  }
+
+  parseChatEvent(element, doc = document) {
+    return KickEventParser.parse(element.textContent, this.getViewerLocale(doc));
+  }
+
+  getMessageContainer(element) {
+    if (!element || !element.closest) return element;
+    return element.closest('[data-chat-entry]') ||
+           element.closest('[data-message-id]') ||
+           element.closest('.group.relative') ||
+           element;
+  }
+
+  getMessageId(container) {
+    if (!container || !container.getAttribute) return null;
+    return container.getAttribute('data-chat-entry') ||
+           container.getAttribute('data-message-id') ||
+           container.getAttribute('data-id');
+  }
+
+  extractUsername(messageElement, doc = document) {
+    // First, try to find the full message container (not just the message content)
+    const messageContainer = messageElement.closest('[class*="message"]') ||
+                           messageElement.closest('[class*="chat-message"]') ||
+                           messageElement.closest('.group.relative') ||
+                           messageElement.closest('[data-testid*="message"]') ||
+                           messageElement.parentElement?.parentElement ||
+                           messageElement.parentElement;
+
+    console.log('Multi-Platform Chat Monitor: Kick message container found:', messageContainer?.outerHTML?.substring(0, 300) + '...');
+
+    // Try to find username in the message container first
+    if (messageContainer && messageContainer !== messageElement) {
+      const containerSelectors = [
+        'button[title]',
+        '.inline-flex button[title]',
+        '[class*="inline-flex"] button[title]',
+        'button.inline',
+        '.chat-author',
+        '.message-author',
+        '.username',
+        '[class*="author"]',
+        '[data-username]',
+        '[data-user]',
+        '.user-name',
+        '.chat-user',
+        'a[href*="/"]',
+        '[role="button"]',
+        // Additional selectors for Kick's structure
+        '.font-semibold',
+        '.font-bold',
+        '[class*="font-semibold"]',
+        '[class*="font-bold"]',
+        '.text-sm',
+        '.text-xs'
+      ];
+
+      for (const selector of containerSelectors) {
+        const usernameElement = messageContainer.querySelector(selector);
+
+        if (usernameElement) {
+          let username = usernameElement.getAttribute('title') ||
+                        usernameElement.getAttribute('data-username') ||
+                        usernameElement.getAttribute('data-user') ||
+                        usernameElement.textContent?.trim() ||
+                        usernameElement.innerText?.trim();
+
+          // Extract username from href if it's a link
+          if (!username && usernameElement.href) {
+            const match = usernameElement.href.match(/\/([^\/]+)$/);
+            if (match) {
+              username = match[1];
+            }
+          }
+
+          // Filter out common non-username text
+          if (username && username.length > 0 && username !== 'Chat' &&
+              !username.includes('message') && !username.includes('from') &&
+              username.length < 50) { // Reasonable username length
+            console.log('Multi-Platform Chat Monitor: Extracted Kick username from container:', username);
+            return username;
+          }
+        }
+      }
+    }
+
+    // Fallback: try original selectors on the original message element
+    const usernameSelectors = [
+      'button[title]',
+      '.inline-flex button[title]',
+      '[class*="inline-flex"] button[title]',
+      'button.inline',
+      '.chat-author',
+      '.message-author',
+      '.username',
+      '[class*="author"]',
+      '[data-username]',
+      '[data-user]',
+      '.user-name',
+      '.chat-user',
+      'a[href*="/"]',
+      '[role="button"]'
+    ];
+
+    for (const selector of usernameSelectors) {
+      const usernameElement = messageElement.querySelector(selector) ||
+                             messageElement.closest(selector);
+
+      if (usernameElement) {
+        let username = usernameElement.getAttribute('title') ||
+                      usernameElement.getAttribute('data-username') ||
+                      usernameElement.getAttribute('data-user') ||
+                      usernameElement.textContent?.trim() ||
+                      usernameElement.innerText?.trim();
+
+        // Extract username from href if it's a link
+        if (!username && usernameElement.href) {
+          const match = usernameElement.href.match(/\/([^\/]+)$/);
+          if (match) {
+            username = match[1];
+          }
+        }
+
+        if (username && username.length > 0 && username !== 'Chat' &&
+            !username.includes('message') && !username.includes('from') &&
+            username.length < 50) {
+          console.log('Multi-Platform Chat Monitor: Extracted Kick username from fallback:', username);
+          return username;
+        }
+      }
+    }
+
+    console.log('Multi-Platform Chat Monitor: Could not extract Kick username from message element:', messageElement.outerHTML?.substring(0, 300) + '...');
+    return null;
+  }
+
+  getMessageBody(messageElement, container) {
+    return container.querySelector?.('.chat-entry-content, [class*="chat-entry-content"]') || messageElement;
+  }
+
+  getEmoteSelector() {
+    return 'img[data-emote-name], img[data-emote-id], .chat-emote-container img, img[src*="/emotes/"]';
+  }
+
+  extractBadges(container) {
+    if (!container.querySelectorAll) return [];
+    return this.extractBadgesFromLabels(container.querySelectorAll('[class*="badge"] img, [class*="badge"] svg, [class*="badge"][title]'));
+  }
+
+  extractReplyTo(container) {
+    if (!container.querySelectorAll) return null;
+    for (const element of container.querySelectorAll('[class*="reply"], [class*="Reply"]')) {
+      const replyTo = this.parseReplyLabel(element.textContent);
+      if (replyTo) return replyTo;
+    }
+    return null;
+  }
+
+  getViewerCount(doc = document) {
+    // Kick renders the live count as a bare number next to an icon
+    const count = this.readViewerCount(doc, [
+      '[data-testid="viewer-count"]',
+      '.viewers-count',
+      '.viewer-count',
+      '.live-viewers'
+    ]) || this.readViewerCount(doc, [
+      // Broad fallbacks can match unrelated elements, so require a viewer label
+      '[class*="viewers"]',
+      '[class*="viewer"]',
+      '.stream-stats',
+      '[class*="stats"]'
+    ], { requireLabel: true });
+
+    if (!count) {
+      console.log('Multi-Platform Chat Monitor: No Kick viewer count found');
+    }
+    return count;
+  }
+
+
+  getAvatar(channelName, doc = document) {
+    // Try to find Kick channel avatar
+    const kickSelectors = [
+      '#channel-avatar',
+      '.channel-avatar img',
+      '.profile-avatar img',
+      '.streamer-avatar img',
+      'img[id="channel-avatar"]',
+      '[class*="avatar"] img',
+      'img[alt*="Destiny"]', // Fallback for specific channels
+      'img[alt*="'+channelName+'"]'
+    ];
+
+    for (const selector of kickSelectors) {
+      const img = doc.querySelector(selector);
+      if (img && img.src && img.src.includes('files.kick.com')) {
+        console.log('Multi-Platform Chat Monitor: Found Kick avatar with selector:', selector);
+        return img.src;
+      }
+    }
+
+    return null;
+  }
+
+  getStreamUptime(doc = document) {
+    const uptime = doc.querySelector('[data-testid="stream-uptime"], [class*="uptime"]');
+    return uptime ? this.parseClockDuration(uptime.textContent) : null;
+  }
+
+  getStreamTitle(doc = document) {
+    return this.readMetadataText(doc, [
+      '[data-testid="livestream-title"]',
+      '.stream-title',
+      '[class*="stream-title"]'
+    ]);
+  }
+
+  getStreamCategory(doc = document) {
+    return this.readMetadataText(doc, [
+      '[data-testid="livestream-category"]',
+      'a[href^="/category/"]',
+      'a[href*="/categories/"]'
+    ]);
+  }
+
+  getFallbackAvatar(channelName) {
+    return 'https://kick.com/favicon.ico';
+  }
+}
+
+platformAdapters.register(new KickAdapter());
@@ -0,0 +1,40 @@
+// Stream Chat Analyser - Kick Event Parser
+// Kick renders subscriptions, gifted subscriptions and hosts as lines in the
+// same feed as chat messages. These are recognized by their wording, which
+// (unlike a chat message) starts with the username and has no "name:" prefix.
+
+class KickEventParser {
+  static parse(text, locale = 'en') {
+    // Event for a chat line's text, or null when it is an ordinary message
+    const value = (text || '').replace(/\s+/g, ' ').trim()
+      .replace(/^\d{1,2}:\d{2}(?:\s?[AP]M)?\s+/i, ''); // Optional chat timestamp
+    if (!value) return null;
+
+    let match = value.match(/^([^\s:]+) gifted (\S+) (?:subs|subscriptions)\b/i);
+    if (match) {
+      return { type: 'giftBomb', user: match[1], amount: KickEventParser.parseCount(match[2], locale) };
+    }
+
+    match = value.match(/^([^\s:]+) gifted an? (?:sub|subscription) to ([^\s!.]+)/i);
+    if (match) {
+      return { type: 'giftSub', user: match[1], amount: 1, recipient: match[2] };
+    }
+
+    match = value.match(/^([^\s:]+) (?:just )?subscribed\b(?: for (\d+) months?)?/i);
+    if (match) {
+      const months = match[2] ? parseInt(match[2], 10) : 1;
+      return { type: months > 1 ? 'resub' : 'sub', user: match[1], amount: 1, months };
+    }
+
+    match = value.match(/^([^\s:]+) (?:is now )?host(?:ing|ed)\b.*? with (\S+) viewers?/i);
+    if (match) {
+      return { type: 'host', user: match[1], amount: KickEventParser.parseCount(match[2], locale) };
+    }
+
+    return null;
+  }
+
+  static parseCount(text, locale) {
+    return ViewerCountParser.parse(text, locale) || 0;
+  }
+}
@@ -0,0 +1,369 @@
+// Stream Chat Analyser - Platform Adapters
+// Base adapter interface and registry. Each supported site implements one
+// adapter (detection, chat container lookup, message parsing, chat events,
+// moderation notices, viewer count, avatar and stream metadata) and registers it with `platformAdapters`.
+
+class PlatformAdapter {
+  constructor() {
+    this.id = 'unknown';           // Stored with sessions, e.g. 'twitch'
+    this.chatLoadRetryDelay = 0;   // Retry chat observer setup after this many ms (0 = no retry)
+    this.channelSwitchDelay = 2000; // Wait for the new channel's chat after SPA navigation
+  }
+
+  get displayName() {
+    // Shown in tables and CSV exports, see platforms.js
+    return Platforms.getName(this.id);
+  }
+
+  get color() {
+    // Overlay and chart accent color, see platforms.js
+    return Platforms.getColor(this.id);
+  }
+
+  // --- Detection ---
+
+  matches(location) {
+    return false;
+  }
+
+  isValidLivestreamPage(location) {
+    return false;
+  }
+
+  getChannelName(location, doc = document) {
+    return 'Livestream';
+  }
+
+  // --- Chat container ---
+
+  getChatContainerSelectors() {
+    return [];
+  }
+
+  getIframeChatSelectors() {
+    // Selectors inside a chat iframe; empty when the platform does not use one
+    return [];
+  }
+
+  findChatContainer(doc = document) {
+    const selectors = this.getChatContainerSelectors();
+
+    for (const selector of selectors) {
+      const element = doc.querySelector(selector);
+      if (element) {
+        console.log(`Multi-Platform Chat Monitor: Found chat container for ${this.id} with selector: ${selector}`);
+        // Log some details about the element for debugging
+        console.log(`Multi-Platform Chat Monitor: Chat container details:`, {
+          tagName: element.tagName,
+          className: element.className,
+          id: element.id,
+          childElementCount: element.childElementCount
+        });
+        return element;
+      }
+    }
+
+    console.warn(`Multi-Platform Chat Monitor: No chat container found for ${this.id} with known selectors`);
+    console.log(`Multi-Platform Chat Monitor: Tried selectors for ${this.id}:`, JSON.stringify(selectors));
+    return null;
+  }
+
+  // --- Messages ---
+
+  getMessageSelectors() {
+    return ['.message', '.chat-message'];
+  }
+
+  isMessageElement(element) {
+    if (!element || !element.classList) return false;
+    return element.classList.contains('message') ||
+           element.classList.contains('chat-message');
+  }
+
+  getMessageContainer(element) {
+    // Resolve any matched element to the chat line it belongs to
+    return element;
+  }
+
+  getMessageId(container) {
+    // Stable platform message identity, when the DOM exposes one
+    if (!container || !container.getAttribute) return null;
+    return container.getAttribute('data-message-id');
+  }
+
+  extractUsername(messageElement, doc = document) {
+    return null;
+  }
+
+  // --- Message parsing ---
+
+  parseMessage(messageElement, container = this.getMessageContainer(messageElement), doc = document) {
+    // Normalize a chat line into a ChatMessage; platforms override the extract* hooks below
+    const author = this.extractUsername(messageElement, doc);
+    const body = this.getMessageBody(messageElement, container) || messageElement;
+
+    return new ChatMessage({
+      id: this.getMessageId(container),
+      platform: this.id,
+      author,
+      displayName: this.extractDisplayName(container, author),
+      text: this.extractText(body),
+      emotes: this.extractEmotes(body),
+      badges: this.extractBadges(container),
+      replyTo: this.extractReplyTo(container)
+    });
+  }
+
+  getMessageBody(messageElement, container) {
+    // Element holding the message text and emotes, without author or badges
+    return messageElement;
+  }
+
+  getEmoteSelector() {
+    return 'img';
+  }
+
+  extractDisplayName(container, author) {
+    return author;
+  }
+
+  extractText(body) {
+    // Walk the body so emote images contribute their names in reading order
+    if (!body) return '';
+
+    const emoteSelector = this.getEmoteSelector();
+    const parts = [];
+    const walk = (node) => {
+      if (node.nodeType === Node.TEXT_NODE) {
+        parts.push(node.nodeValue);
+      } else if (node.nodeType === Node.ELEMENT_NODE) {
+        if (node.tagName === 'IMG') {
+          if (node.matches(emoteSelector)) {
+            parts.push(` ${this.getEmoteName(node)} `);
+          }
+          return;
+        }
+        node.childNodes.forEach(walk);
+      }
+    };
+    walk(body);
+
+    return parts.join('').replace(/\s+/g, ' ').trim();
+  }
+
+  extractEmotes(body) {
+    if (!body || !body.querySelectorAll) return [];
+
+    return Array.from(body.querySelectorAll(this.getEmoteSelector()))
+      .map(img => ({
+        name: this.getEmoteName(img),
+        url: img.src || null,
+        provider: ChatMessage.getEmoteProvider(img.src)
+      }))
+      .filter(emote => emote.name);
+  }
+
+  getEmoteName(img) {
+    return (img.getAttribute('data-emote-name') ||
+            img.getAttribute('alt') ||
+            img.getAttribute('shared-tooltip-text') ||
+            img.getAttribute('title') ||
+            '').trim();
+  }
+
+  extractBadges(container) {
+    return [];
+  }
+
+  extractBadgesFromLabels(elements) {
+    // Collect canonical badges from the alt/title/aria-label of badge elements
+    const badges = [];
+    elements.forEach(element => {
+      const label = element.getAttribute('alt') ||
+                    element.getAttribute('title') ||
+                    element.getAttribute('aria-label') ||
+                    element.getAttribute('type') ||
+                    element.textContent;
+      const badge = ChatMessage.normalizeBadge(label);
+      if (badge) badges.push(badge);
+    });
+    return badges;
+  }
+
+  extractReplyTo(container) {
+    return null;
+  }
+
+  parseReplyLabel(text) {
+    // "Replying to @name: ..." style reply headers
+    const match = (text || '').match(/replying to @?([^\s:,]+)/i);
+    return match ? match[1] : null;
+  }
+
+  // --- Chat events ---
+
+  getEventSelectors() {
+    // System notices (subs, raids, ...) that are events rather than chat messages
+    return [];
+  }
+
+  isEventElement(element) {
+    const selectors = this.getEventSelectors();
+    return selectors.length > 0 && !!element && !!element.matches && element.matches(selectors.join(', '));
+  }
+
+  parseChatEvent(element, doc = document) {
+    // Event for a notice matched by getEventSelectors(), or null
+    return null;
+  }
+
+  parseMessageEvent(message, container, doc = document) {
+    // Event carried by an ordinary chat message (e.g. a cheer), or null; the message is still counted
+    return null;
+  }
+
+  // --- Moderation ---
+
+  getModerationSelectors() {
+    // Deleted-message placeholders and mod notices (timeouts, bans, chat modes)
+    return [];
+  }
+
+  getModerationAttributes() {
+    // Attributes set on an existing chat line when it is deleted; watched by the chat observer
+    return [];
+  }
+
+  isModerationElement(element) {
+    const selectors = this.getModerationSelectors();
+    return selectors.length > 0 && !!element && !!element.matches && element.matches(selectors.join(', '));
+  }
+
+  parseModerationNotice(element, doc = document) {
+    // Action for a moderation element, or null
+    return ModerationParser.parse(element.textContent);
+  }
+
+  isDeletedMessage(element) {
+    // True when a watched attribute change marks the element as a deleted message
+    return false;
+  }
+
+  // --- Stream info ---
+
+  getViewerCount(doc = document) {
+    return 0;
+  }
+
+  getViewerLocale(doc = document) {
+    // Page language decides decimal vs grouping separators ("1,234" vs "1,2 Mio.")
+    return (doc.documentElement && doc.documentElement.lang) || navigator.language || 'en';
+  }
+
+  readViewerCount(doc, selectors, { requireLabel = false } = {}) {
+    // First count found under the selectors, parsed with ViewerCountParser. Broad
+    // selectors pass requireLabel so unrelated numbers ("12 clips") are skipped.
+    const locale = this.getViewerLocale(doc);
+
+    for (const selector of selectors) {
+      for (const element of doc.querySelectorAll(selector)) {
+        const text = (element.textContent || '').trim();
+        const label = element.getAttribute('aria-label') || '';
+        if (requireLabel && !ViewerCountParser.hasViewerLabel(`${text} ${label}`)) continue;
+
+        const count = ViewerCountParser.parse(text, locale) || ViewerCountParser.parse(label, locale);
+        if (count > 0) {
+          console.log(`Multi-Platform Chat Monitor: Parsed ${this.id} viewer count:`, count, 'from', selector, JSON.stringify(text || label));
+          return count;
+        }
+      }
+    }
+
+    return 0;
+  }
+
+  getAvatar(channelName, doc = document) {
+    return null;
+  }
+
+  getFallbackAvatar(channelName) {
+    return null;
+  }
+
+  getStreamUptime(doc = document) {
+    // Seconds since the stream went live, or null when the page does not show it
+    return null;
+  }
+
+  getStreamTitle(doc = document) {
+    // Current stream title, or null when the page does not show it
+    return null;
+  }
+
+  getStreamCategory(doc = document) {
+    // Current category/game, or null when the page does not show it
+    return null;
+  }
+
+  readMetadataText(doc, selectors) {
+    // First non-empty text under the selectors; <meta> elements contribute their content
+    for (const selector of selectors) {
+      const element = doc.querySelector(selector);
+      if (!element) continue;
+
+      const text = (element.tagName === 'META' ? element.getAttribute('content') : element.textContent) || '';
+      const value = text.replace(/\s+/g, ' ').trim();
+      if (value) return value;
+    }
+    return null;
+  }
+
+  parseClockDuration(text) {
+    // "1:02:03" or "02:03" -> seconds
+    const match = (text || '').match(/(?:(\d+):)?(\d{1,2}):(\d{2})/);
+    if (!match) return null;
+    return (parseInt(match[1] || '0', 10) * 3600) + (parseInt(match[2], 10) * 60) + parseInt(match[3], 10);
+  }
+
+  // --- Navigation ---
+
+  setupNavigationListeners(onNavigate, monitor) {
+    // Platform-specific SPA navigation hooks; generic URL polling lives in the monitor
+  }
+}
+
+class PlatformAdapterRegistry {
+  constructor() {
+    this.adapters = new Map();
+  }
+
+  register(adapter) {
+    if (!(adapter instanceof PlatformAdapter)) {
+      throw new Error('Platform adapters must extend PlatformAdapter');
+    }
+    this.adapters.set(adapter.id, adapter);
+    return adapter;
+  }
+
+  get(id) {
+    return this.adapters.get(id) || null;
+  }
+
+  getAll() {
+    return Array.from(this.adapters.values());
+  }
+
+  detect(location = window.location) {
+    for (const adapter of this.adapters.values()) {
+      if (adapter.matches(location)) {
+        console.log(`Multi-Platform Chat Monitor: Detected ${adapter.displayName}`);
+        return adapter;
+      }
+    }
+
+    console.log(`Multi-Platform Chat Monitor: Unknown platform for hostname: ${location.hostname}`);
+    return null;
+  }
+}
+
+const platformAdapters = new PlatformAdapterRegistry();
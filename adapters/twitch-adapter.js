@@ -0,0 +1,313 @@
+// Stream Chat Analyser - Twitch Adapter
+
+class TwitchAdapter extends PlatformAdapter {
+  constructor() {
+    super();
+    this.id = 'twitch';
+  }
+
+  matches(location) {
+    return location.hostname === 'www.twitch.tv';
+  }
+
+  isValidLivestreamPage(location) {
+    // Check if it's a Twitch channel page (not homepage, search, etc.)
+    const twitchRegex = /^https:\/\/www\.twitch\.tv\/[a-zA-Z0-9_]{1,25}(?:\?.*)?$/;
+    return twitchRegex.test(location.href);
+  }
+
+  getChannelName(location, doc = document) {
+    const pathParts = new URL(location.href).pathname.split('/').filter(part => part.length > 0);
+    if (pathParts.length > 0) {
+      return pathParts[0].charAt(0).toUpperCase() + pathParts[0].slice(1);
+    }
+    return 'Twitch Streamer';
+  }
+
+  getChatContainerSelectors() {
+    return [
+      '[data-a-target="chat-scroller"]',
+      '.chat-scrollable-area__message-container',
+      '.chat-list',
+      '.chat-list--default',
+      '.chat-list--other',
+      '#chat-room__content'
+    ];
+  }
+
+  getMessageSelectors() {
+    return ['[data-a-target="chat-message-text"]', '.message', '.chat-message'];
+  }
+
+  isMessageElement(element) {
+    if (!element || (!element.hasAttribute && !element.classList)) return false;
+    // Sub/raid notices are tracked as events and mod notices as moderation; a resub's own message text still counts
+    if (this.isEventElement(element) || this.isModerationElement(element)) return false;
+    return element.hasAttribute('data-a-target') && element.getAttribute('data-a-target').includes('message') ||
+           element.classList.contains('message') ||
+           element.classList.contains('chat-message') ||
+           element.classList.contains('chat-line__message');
+  }
+
+  getEventSelectors() {
+    return [
+      '.user-notice-line',
+      '[data-test-selector="user-notice-line"]',
+      '[data-test-selector="raid-notice"]',
+      '.chat-line__status'
+    ];
+  }
+
+  getModerationSelectors() {
+    return [
+      '[data-a-target="chat-deleted-message-placeholder"]',
+      '.chat-line__status'
+    ];
+  }
+
+  parseChatEvent(element, doc = document) {
+    // The notice's own text; a resub's attached message is left to the message path
+    const clone = element.cloneNode(true);
+    clone.querySelectorAll('[data-a-target="chat-message-text"], [data-a-target="chat-line-message-body"]').forEach(node => node.remove());
+    return TwitchEventParser.parse(clone.textContent, this.getViewerLocale(doc));
+  }
+
+  parseMessageEvent(message, container, doc = document) {
+    const bits = TwitchEventParser.countBits(container);
+    return bits > 0 ? { type: 'cheer', user: message.displayName || message.author, amount: bits } : null;
+  }
+
+  getMessageContainer(element) {
+    if (!element || !element.closest) return element;
+    return element.closest('[data-message-id]') ||
+           element.closest('.chat-line__message') ||
+           element.closest('[data-a-target="chat-line-message"]') ||
+           element.closest('.chat-line') ||
+           element;
+  }
+
+  getMessageId(container) {
+    if (!container || !container.getAttribute) return null;
+    return container.getAttribute('data-message-id') ||
+           container.getAttribute('data-msg-id') ||
+           container.getAttribute('data-id');
+  }
+
+  extractUsername(messageElement, doc = document) {
+    // Try to find username from various Twitch chat structures
+    const usernameSelectors = [
+      '[data-a-user]', // Common Twitch username attribute
+      '.chat-author__display-name',
+      '.message-author',
+      '.username',
+      '.user-display-name',
+      '.chat-message-author'
+    ];
+
+    // Try direct parent/sibling traversal for username
+    for (const selector of usernameSelectors) {
+      const usernameElement = messageElement.closest('[data-a-user]') ||
+                             messageElement.querySelector(selector) ||
+                             messageElement.parentElement?.querySelector(selector);
+
+      if (usernameElement) {
+        const username = usernameElement.getAttribute('data-a-user') ||
+                        usernameElement.textContent?.trim() ||
+                        usernameElement.innerText?.trim();
+        if (username && username.length > 0) {
+          console.log('Multi-Platform Chat Monitor: Extracted Twitch username:', username);
+          return username;
+        }
+      }
+    }
+
+    // Try to find username in chat line structure
+    const chatLine = messageElement.closest('.chat-line') ||
+                   messageElement.closest('[data-a-target*="message"]') ||
+                   messageElement.closest('.message');
+
+    if (chatLine) {
+      const usernameElement = chatLine.querySelector('[data-a-user]');
+      if (usernameElement) {
+        const username = usernameElement.getAttribute('data-a-user');
+        if (username) {
+          console.log('Multi-Platform Chat Monitor: Extracted username from chat line:', username);
+          return username;
+        }
+      }
+    }
+
+    // Fallback: try to extract from aria-label or other attributes
+    const ariaLabel = messageElement.getAttribute('aria-label') ||
+                     messageElement.parentElement?.getAttribute('aria-label');
+
+    if (ariaLabel && ariaLabel.includes('message from')) {
+      const match = ariaLabel.match(/message from ([^\s,]+)/);
+      if (match && match[1]) {
+        console.log('Multi-Platform Chat Monitor: Extracted username from aria-label:', match[1]);
+        return match[1];
+      }
+    }
+
+    console.log('Multi-Platform Chat Monitor: Could not extract Twitch username from message');
+    return null;
+  }
+
+  getMessageBody(messageElement, container) {
+    // Matched elements are often a single text fragment; use the whole message body
+    return container.querySelector?.('[data-a-target="chat-line-message-body"], .message') || messageElement;
+  }
+
+  getEmoteSelector() {
+    // Native emotes plus BTTV/FFZ/7TV images injected by browser extensions
+    return 'img.chat-line__message--emote, img.chat-image, img[class*="emote"]';
+  }
+
+  extractDisplayName(container, author) {
+    const displayName = container.querySelector?.('.chat-author__display-name')?.textContent?.trim();
+    return displayName || author;
+  }
+
+  extractBadges(container) {
+    if (!container.querySelectorAll) return [];
+    return this.extractBadgesFromLabels(container.querySelectorAll('img.chat-badge, [data-a-target="chat-badge"] img'));
+  }
+
+  extractReplyTo(container) {
+    // The reply header reads "Replying to @name: ..."; reply buttons also match the selector
+    if (!container.querySelectorAll) return null;
+    for (const element of container.querySelectorAll('.chat-line__message-reply, [class*="reply"]')) {
+      const replyTo = this.parseReplyLabel(element.textContent);
+      if (replyTo) return replyTo;
+    }
+    return null;
+  }
+
+  getViewerCount(doc = document) {
+    // Elements that only ever hold the live viewer count
+    const count = this.readViewerCount(doc, [
+      '[data-a-target="animated-channel-viewers-count"]',
+      '[data-a-target="channel-viewers-count"]',
+      '[data-test-selector="stream-info-card-component__viewers-count"]',
+      '.stream-info-card-component__viewers-count',
+      '.live-viewers-count'
+    ]) || this.readViewerCount(doc, [
+      // Broad fallbacks can match unrelated elements, so require a viewer label
+      '.viewers-count',
+      '.viewer-count',
+      '[class*="viewer-count"]',
+      '[class*="viewers"]'
+    ], { requireLabel: true });
+
+    if (!count) {
+      console.log('Multi-Platform Chat Monitor: No Twitch viewer count found');
+    }
+    return count;
+  }
+
+
+  getAvatar(channelName, doc = document) {
+    // Try to find the STREAMER/CHANNEL avatar (not viewer's avatar)
+    // Look for specific selectors that Twitch uses for the channel being viewed
+
+    // Priority 1: Channel/streamer specific selectors
+    const streamerSelectors = [
+      // Main channel header avatar
+      '.channel-header__user-avatar img',
+      '.channel-info__avatar img',
+      '.stream-avatar img',
+      '.channel-root__info img',
+
+      // Live channel specific
+      '.live-channel-header__avatar img',
+      '.channel-header-avatar img',
+
+      // Generic but specific to channel context
+      'img[alt*="channel"]',
+      'img[alt*="streamer"]',
+      'img[data-a-target*="channel"]',
+
+      // Look for avatar in channel info section
+      '.channel-info-section img',
+      '.channel-header-content img'
+    ];
+
+    // Try streamer-specific selectors first
+    for (const selector of streamerSelectors) {
+      const img = doc.querySelector(selector);
+      if (img && img.src && img.src.includes('jtv_user_pictures') && img.src.includes('profile_image')) {
+        console.log('Twitch Chat Monitor: Found streamer avatar with selector:', selector);
+        return img.src.replace(/(\d+)x(\d+)/, '70x70');
+      }
+    }
+
+    // Priority 2: Look for the largest profile image (likely the streamer)
+    const allProfileImages = doc.querySelectorAll('img[src*="jtv_user_pictures"][src*="profile_image"]');
+    let largestImage = null;
+    let largestArea = 0;
+
+    for (const img of allProfileImages) {
+      const area = (img.naturalWidth || img.width || 0) * (img.naturalHeight || img.height || 0);
+      if (area > largestArea) {
+        largestArea = area;
+        largestImage = img;
+      }
+    }
+
+    if (largestImage) {
+      console.log('Twitch Chat Monitor: Using largest profile image as streamer avatar');
+      return largestImage.src.replace(/(\d+)x(\d+)/, '70x70');
+    }
+
+    // Priority 3: Fallback to any profile image that's visible and reasonably sized
+    const visibleProfileImages = Array.from(allProfileImages).filter(img => {
+      const rect = img.getBoundingClientRect();
+      return rect.width > 20 && rect.height > 20 && rect.top > 0;
+    });
+
+    if (visibleProfileImages.length > 0) {
+      const img = visibleProfileImages[0];
+      console.log('Twitch Chat Monitor: Using visible profile image as streamer avatar');
+      return img.src.replace(/(\d+)x(\d+)/, '70x70');
+    }
+
+    console.log('Twitch Chat Monitor: No suitable streamer avatar found on page');
+    return null;
+  }
+
+  getStreamUptime(doc = document) {
+    // The player's info panel shows uptime as H:MM:SS
+    const liveTime = doc.querySelector('.live-time, [class*="live-time"]');
+    return liveTime ? this.parseClockDuration(liveTime.textContent) : null;
+  }
+
+  getStreamTitle(doc = document) {
+    return this.readMetadataText(doc, [
+      '[data-a-target="stream-title"]',
+      '.channel-info-content h2[title]'
+    ]);
+  }
+
+  getStreamCategory(doc = document) {
+    return this.readMetadataText(doc, [
+      '[data-a-target="stream-game-link"] span',
+      '[data-a-target="stream-game-link"]',
+      '.channel-info-content a[href^="/directory/category/"]'
+    ]);
+  }
+
+  getFallbackAvatar(channelName) {
+    // Twitch's default profile image pattern
+    const cleanChannelName = (channelName || '').toLowerCase().replace(/[^a-z0-9_]/g, '');
+    return `https://static-cdn.jtvnw.net/jtv_user_pictures/${cleanChannelName}-profile_image-70x70.png`;
+  }
+
+  setupNavigationListeners(onNavigate, monitor) {
+    // Check for Twitch's navigation method (they might use custom events)
+    document.addEventListener('twitch-navigate', () => {
+      setTimeout(onNavigate, 100);
+    });
+  }
+}
+
+platformAdapters.register(new TwitchAdapter());
@@ -0,0 +1,67 @@
+// Stream Chat Analyser - Twitch Event Parser
+// Recognizes Twitch chat's system notices (subs, resubs, gift bombs, raids,
+// hype trains) and cheers, and turns them into plain event objects for the
+// monitor's ChatEventTracker. Notices are matched on Twitch's English wording.
+
+class TwitchEventParser {
+  static parse(text, locale = 'en') {
+    // Event for a notice's text, or null when it is not one we track
+    const value = (text || '').replace(/\s+/g, ' ').trim();
+    if (!value) return null;
+
+    let match = value.match(/^(.+?) is gifting (\S+) Tier (\d) Subs? to/i);
+    if (match) {
+      return { type: 'giftBomb', user: TwitchEventParser.getUser(match[1]), amount: TwitchEventParser.parseCount(match[2], locale), tier: parseInt(match[3], 10) };
+    }
+
+    match = value.match(/^(.+?) gifted a Tier (\d) sub to (\S+?)[!.]?(?:\s|$)/i);
+    if (match) {
+      return { type: 'giftSub', user: TwitchEventParser.getUser(match[1]), amount: 1, tier: parseInt(match[2], 10), recipient: match[3] };
+    }
+
+    match = value.match(/^(\S+) subscribed (?:at Tier (\d)|with Prime)/i);
+    if (match) {
+      const months = value.match(/subscribed for (\d+) months/i);
+      return {
+        type: months ? 'resub' : 'sub',
+        user: match[1],
+        amount: 1,
+        tier: match[2] ? parseInt(match[2], 10) : 'prime',
+        months: months ? parseInt(months[1], 10) : 1
+      };
+    }
+
+    match = value.match(/(\S+) raiders? from (\S+?) (?:have|has) joined/i);
+    if (match) {
+      return { type: 'raid', user: match[2], amount: TwitchEventParser.parseCount(match[1], locale) };
+    }
+
+    if (/hype train/i.test(value)) {
+      const level = value.match(/(?:level|lvl\.?) ?(\d+)/i);
+      return { type: 'hypeTrain', user: null, amount: level ? parseInt(level[1], 10) : 1 };
+    }
+
+    return null;
+  }
+
+  static getUser(name) {
+    return /anonymous/i.test(name) ? 'Anonymous' : name;
+  }
+
+  static parseCount(text, locale) {
+    // "5", "1,234" or "1.2K"
+    return ViewerCountParser.parse(text, locale) || 0;
+  }
+
+  static countBits(container) {
+    // Bits cheered in a chat line: cheermote images are named after their amount ("Cheer100")
+    if (!container || !container.querySelectorAll) return 0;
+
+    return Array.from(container.querySelectorAll('img')).reduce((bits, img) => {
+      const src = img.getAttribute('src') || '';
+      const isCheermote = /\/actions\/|cheer|bits/i.test(src) || /cheermote/i.test(img.className || '');
+      const match = (img.getAttribute('alt') || '').match(/^[a-z]+(\d+)$/i);
+      return isCheermote && match ? bits + parseInt(match[1], 10) : bits;
+    }, 0);
+  }
+}
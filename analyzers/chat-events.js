@@ -0,0 +1,315 @@
+// Stream Chat Analyser - Chat Events
+// Counts and totals platform events (cheers, subs, gifted subs, raids and hosts,
+// hype trains, Super Chats, memberships) reported by the adapters, and measures how
+// the chat rate changed in the minutes after each one compared with the minute
+// before. Paid messages are totalled per currency and converted with the
+// user's rate table, see currency.js
+
+class ChatEventTracker {
+  constructor({ afterMinutes = 3, overlayLimit = 5, sessionLimit = 200, supporterLimit = 10, hypeTrainGap = 600 } = {}) {
+    this.key = 'events';
+    this.title = 'Chat Events';
+    this.afterMinutes = afterMinutes;   // Minutes of chat rate recorded after each event
+    this.overlayLimit = overlayLimit;
+    this.sessionLimit = sessionLimit;   // Events saved with the history entry
+    this.supporterLimit = supporterLimit; // Top supporters saved with the history entry
+    this.hypeTrainGap = hypeTrainGap;   // Seconds without a hype train notice before the next one counts as new
+    this.rates = CurrencyConverter.DEFAULT_RATES;
+    this.baseCurrency = 'USD';
+    this.reset();
+  }
+
+  applySettings(settings) {
+    this.rates = CurrencyConverter.getRates(settings);
+    this.baseCurrency = CurrencyConverter.getBaseCurrency(settings);
+  }
+
+  reset() {
+    this.events = [];
+    this.totals = ChatEventTracker.emptyTotals();
+    this.secondCounts = new Map(); // Epoch second -> human messages, for rates around events
+    this.pendingGifts = new Map(); // Gifter -> { remaining, expiresAt } for gift bomb recipients
+    this.lastHypeTrain = null;
+    this.supporters = new Map();   // Name -> { name, count, amounts: { CODE: amount } }
+  }
+
+  static emptyTotals() {
+    return {
+      events: 0,
+      cheers: 0,
+      bits: 0,
+      subs: 0,
+      resubs: 0,
+      giftBombs: 0,
+      giftedSubs: 0,
+      raids: 0,
+      raiders: 0,
+      hypeTrains: 0,
+      maxHypeTrainLevel: 0,
+      superChats: 0,
+      superStickers: 0,
+      memberships: 0,
+      giftedMemberships: 0,
+      currencies: {}      // CODE -> { amount, count } for paid messages
+    };
+  }
+
+  handleMessage(message) {
+    const second = Math.floor((message.timestamp || Date.now()) / 1000);
+    this.secondCounts.set(second, (this.secondCounts.get(second) || 0) + 1);
+  }
+
+  handleEvent(event, monitor) {
+    const now = event.time || Date.now();
+    if (!this.countEvent(event, now)) return null;
+
+    const entry = {
+      ...event,
+      time: now,
+      offset: monitor.monitoringStartTime ? Math.round((now - monitor.monitoringStartTime) / 1000) : 0,
+      uptime: monitor.getStreamUptime(),
+      rateBefore: this.countMessages(now - 60000, now),
+      rateAfter: []                     // msg/min for each full minute after the event
+    };
+
+    this.events.push(entry);
+    if (entry.type === 'hypeTrain') {
+      this.lastHypeTrain = { entry, lastSeen: now };
+    }
+    if (this.events.length > this.sessionLimit) {
+      this.events.shift();
+    }
+    console.log('Multi-Platform Chat Monitor: Chat event', entry);
+    return entry;
+  }
+
+  countEvent(event, now) {
+    // Updates the totals; returns false for notices that only repeat an event already counted
+    const totals = this.totals;
+    const amount = event.amount || 0;
+
+    switch (event.type) {
+      case 'cheer':
+        totals.cheers++;
+        totals.bits += amount;
+        break;
+      case 'sub':
+        totals.subs++;
+        break;
+      case 'resub':
+        totals.resubs++;
+        break;
+      case 'giftBomb':
+        totals.giftBombs++;
+        totals.giftedSubs += amount;
+        // The individual "gifted a sub to" lines that follow belong to this bomb
+        this.pendingGifts.set(event.user, { remaining: amount, expiresAt: now + 60000 });
+        break;
+      case 'giftSub': {
+        const pending = this.pendingGifts.get(event.user);
+        if (pending && pending.remaining > 0 && pending.expiresAt > now) {
+          pending.remaining--;
+          return false;
+        }
+        totals.giftedSubs += amount;
+        break;
+      }
+      case 'raid':
+      case 'host': // Kick's name for a raid
+        totals.raids++;
+        totals.raiders += amount;
+        break;
+      case 'hypeTrain':
+        totals.maxHypeTrainLevel = Math.max(totals.maxHypeTrainLevel, amount);
+        // Level-up notices belong to the running train
+        if (this.lastHypeTrain && now - this.lastHypeTrain.lastSeen < this.hypeTrainGap * 1000) {
+          this.lastHypeTrain.lastSeen = now;
+          this.lastHypeTrain.entry.amount = Math.max(this.lastHypeTrain.entry.amount, amount);
+          return false;
+        }
+        totals.hypeTrains++;
+        break;
+      case 'superChat':
+      case 'superSticker':
+        if (event.type === 'superChat') {
+          totals.superChats++;
+        } else {
+          totals.superStickers++;
+        }
+        this.addPayment(event);
+        break;
+      case 'membership':
+        totals.memberships++;
+        break;
+      case 'membershipGift':
+        totals.giftedMemberships += amount;
+        break;
+      default:
+        break;
+    }
+
+    totals.events++;
+    return true;
+  }
+
+  addPayment(event) {
+    const currency = this.totals.currencies[event.currency] || { amount: 0, count: 0 };
+    currency.amount = Math.round((currency.amount + event.amount) * 100) / 100;
+    currency.count++;
+    this.totals.currencies[event.currency] = currency;
+
+    const name = event.user || 'Unknown';
+    const supporter = this.supporters.get(name) || { name, count: 0, amounts: {} };
+    supporter.count++;
+    supporter.amounts[event.currency] = Math.round(((supporter.amounts[event.currency] || 0) + event.amount) * 100) / 100;
+    this.supporters.set(name, supporter);
+  }
+
+  getTopSupporters() {
+    // Ranked by converted value; amounts in currencies missing from the rate table count as 0
+    return Array.from(this.supporters.values())
+      .map(supporter => ({
+        ...supporter,
+        amounts: { ...supporter.amounts },
+        converted: Math.round(Object.entries(supporter.amounts).reduce((sum, [currency, amount]) =>
+          sum + (CurrencyConverter.convert(amount, currency, this.rates, this.baseCurrency) || 0), 0) * 100) / 100
+      }))
+      .sort((a, b) => b.converted - a.converted || b.count - a.count)
+      .slice(0, this.supporterLimit);
+  }
+
+  tick(monitor, now = Date.now()) {
+    // Fill in each event's after-minutes as they complete
+    this.events.forEach(event => {
+      while (event.rateAfter.length < this.afterMinutes) {
+        const from = event.time + event.rateAfter.length * 60000;
+        if (now < from + 60000) break;
+        event.rateAfter.push(this.countMessages(from, from + 60000));
+      }
+    });
+
+    // Keep enough history for the longest pending window, with slack for throttled background timers
+    const cutoff = Math.floor(now / 1000) - (this.afterMinutes + 2) * 60;
+    for (const second of this.secondCounts.keys()) {
+      if (second >= cutoff) break;
+      this.secondCounts.delete(second);
+    }
+  }
+
+  countMessages(from, to) {
+    const start = Math.floor(from / 1000);
+    const end = Math.floor(to / 1000);
+    let count = 0;
+    this.secondCounts.forEach((messages, second) => {
+      if (second >= start && second < end) count += messages;
+    });
+    return count;
+  }
+
+  static getRateChange(event) {
+    // Percent change from the minute before to the average of the minutes after; null until measurable
+    if (!event.rateAfter || event.rateAfter.length === 0 || !event.rateBefore) return null;
+    const after = event.rateAfter.reduce((a, b) => a + b, 0) / event.rateAfter.length;
+    return Math.round((after - event.rateBefore) / event.rateBefore * 100);
+  }
+
+  static describe(event) {
+    const user = event.user || 'Someone';
+    const amount = (event.amount || 0).toLocaleString();
+
+    switch (event.type) {
+      case 'cheer':
+        return `${user} cheered ${amount} bits`;
+      case 'sub':
+        return `${user} subscribed${event.tier === 'prime' ? ' with Prime' : ''}`;
+      case 'resub':
+        return `${user} resubscribed (${event.months} months)`;
+      case 'giftBomb':
+        return `${user} gifted ${amount} subs`;
+      case 'giftSub':
+        return `${user} gifted a sub${event.recipient ? ` to ${event.recipient}` : ''}`;
+      case 'raid':
+        return `Raid from ${user} (${amount} viewers)`;
+      case 'host':
+        return `Host from ${user} (${amount} viewers)`;
+      case 'hypeTrain':
+        return `Hype train (level ${amount})`;
+      case 'superChat':
+        return `${user} sent a ${CurrencyConverter.format(event.amount, event.currency)} Super Chat`;
+      case 'superSticker':
+        return `${user} sent a ${CurrencyConverter.format(event.amount, event.currency)} Super Sticker`;
+      case 'membership':
+        return event.months > 0 ? `${user} member for ${event.months} months` : `${user} became a member`;
+      case 'membershipGift':
+        return `${user} gifted ${amount} memberships`;
+      default:
+        return `${event.type}${event.user ? ` from ${event.user}` : ''}`;
+    }
+  }
+
+  static describeTotals(totals, rates = CurrencyConverter.DEFAULT_RATES, baseCurrency = 'USD') {
+    const parts = [];
+    const currencies = totals.currencies || {};
+    if (Object.keys(currencies).length > 0) {
+      const { total, unconverted } = CurrencyConverter.convertTotals(currencies, rates, baseCurrency);
+      parts.push(`${CurrencyConverter.format(total, baseCurrency)}${unconverted.length > 0 ? '+' : ''} in Super Chats`);
+    }
+    if (totals.memberships) parts.push(`${totals.memberships.toLocaleString()} ${totals.memberships === 1 ? 'membership' : 'memberships'}`);
+    if (totals.giftedMemberships) parts.push(`${totals.giftedMemberships.toLocaleString()} gifted memberships`);
+    if (totals.bits) parts.push(`${totals.bits.toLocaleString()} bits`);
+    if (totals.subs + totals.resubs) parts.push(`${(totals.subs + totals.resubs).toLocaleString()} subs`);
+    if (totals.giftedSubs) parts.push(`${totals.giftedSubs.toLocaleString()} gifted`);
+    if (totals.raids) parts.push(`${totals.raids} ${totals.raids === 1 ? 'raid' : 'raids'} (${totals.raiders.toLocaleString()})`);
+    if (totals.hypeTrains) parts.push(`${totals.hypeTrains} hype ${totals.hypeTrains === 1 ? 'train' : 'trains'}`);
+    return parts.join(' · ');
+  }
+
+  toSessionData() {
+    return {
+      chatEvents: this.events.map(event => ({ ...event, rateAfter: event.rateAfter.slice() })),
+      eventTotals: {
+        ...this.totals,
+        currencies: Object.fromEntries(Object.entries(this.totals.currencies).map(([currency, entry]) => [currency, { ...entry }]))
+      },
+      topSupporters: this.getTopSupporters(),
+      supportCurrency: this.baseCurrency
+    };
+  }
+
+  renderOverlay(body) {
+    body.innerHTML = '';
+
+    if (this.events.length === 0) {
+      const empty = document.createElement('div');
+      empty.className = 'monitor-section-empty';
+      empty.textContent = 'No events yet';
+      body.appendChild(empty);
+      return;
+    }
+
+    const summary = document.createElement('div');
+    summary.className = 'event-summary';
+    summary.textContent = ChatEventTracker.describeTotals(this.totals, this.rates, this.baseCurrency);
+    body.appendChild(summary);
+
+    this.events.slice(-this.overlayLimit).reverse().forEach(event => {
+      const row = document.createElement('div');
+      row.className = 'event-row';
+
+      const label = document.createElement('span');
+      label.className = 'event-label';
+      label.textContent = ChatEventTracker.describe(event);
+      label.title = label.textContent;
+      row.appendChild(label);
+
+      const change = ChatEventTracker.getRateChange(event);
+      const rate = document.createElement('span');
+      rate.className = 'event-rate';
+      rate.textContent = change === null ? '…' : `${change >= 0 ? '+' : ''}${change}%`;
+      rate.title = 'Chat rate after the event compared with the minute before';
+      row.appendChild(rate);
+
+      body.appendChild(row);
+    });
+  }
+}
@@ -0,0 +1,138 @@
+// Stream Chat Analyser - Chatter Stats
+// Per-user message counts, first/last message times and average message length,
+// with a Gini score showing whether chat is carried by a few regulars
+
+class ChatterStats {
+  constructor({ overlayLimit = 5, sessionLimit = 25 } = {}) {
+    this.key = 'chatters';
+    this.title = 'Top Chatters';
+    this.overlayLimit = overlayLimit; // Rows shown in the overlay section
+    this.sessionLimit = sessionLimit; // Rows saved with the history entry
+    this.reset();
+  }
+
+  reset() {
+    this.chatters = new Map(); // author -> { name, messages, firstAt, lastAt, totalLength }
+  }
+
+  handleMessage(message) {
+    const author = ChatMessage.normalizeAuthor(message.author);
+    if (!author) return;
+
+    const length = (message.text || '').length;
+    const entry = this.chatters.get(author);
+    if (entry) {
+      entry.messages++;
+      entry.lastAt = message.timestamp;
+      entry.totalLength += length;
+    } else {
+      this.chatters.set(author, {
+        name: message.displayName || author,
+        messages: 1,
+        firstAt: message.timestamp,
+        lastAt: message.timestamp,
+        totalLength: length
+      });
+    }
+  }
+
+  removeAuthor(author) {
+    // Called when an author is reclassified as a bot after a few messages
+    this.chatters.delete(ChatMessage.normalizeAuthor(author));
+  }
+
+  getTop(limit = this.overlayLimit) {
+    return Array.from(this.chatters.values())
+      .sort((a, b) => b.messages - a.messages || a.firstAt - b.firstAt)
+      .slice(0, limit);
+  }
+
+  static gini(counts) {
+    // 0 = every chatter sent the same amount, approaching 1 = one chatter sent everything
+    const sorted = counts.slice().sort((a, b) => a - b);
+    const n = sorted.length;
+    const total = sorted.reduce((a, b) => a + b, 0);
+    if (n < 2 || total === 0) return 0;
+
+    const weighted = sorted.reduce((sum, value, index) => sum + (index + 1) * value, 0);
+    return (2 * weighted) / (n * total) - (n + 1) / n;
+  }
+
+  getConcentration() {
+    const counts = Array.from(this.chatters.values()).map(entry => entry.messages);
+    const total = counts.reduce((a, b) => a + b, 0);
+
+    // Share of messages sent by the most active 10% of chatters
+    const topCount = Math.max(1, Math.ceil(counts.length * 0.1));
+    const topMessages = counts.sort((a, b) => b - a).slice(0, topCount).reduce((a, b) => a + b, 0);
+
+    return {
+      gini: Math.round(ChatterStats.gini(counts) * 100) / 100,
+      topShare: total > 0 ? Math.round(topMessages / total * 100) / 100 : 0
+    };
+  }
+
+  toSessionData() {
+    const entries = Array.from(this.chatters.values());
+    const totalMessages = entries.reduce((sum, entry) => sum + entry.messages, 0);
+    const totalLength = entries.reduce((sum, entry) => sum + entry.totalLength, 0);
+
+    return {
+      chatterStats: {
+        ...this.getConcentration(),
+        avgMessageLength: totalMessages > 0 ? Math.round(totalLength / totalMessages * 10) / 10 : 0,
+        avgMessagesPerChatter: entries.length > 0 ? Math.round(totalMessages / entries.length * 10) / 10 : 0,
+        topChatters: this.getTop(this.sessionLimit).map(entry => ({
+          name: entry.name,
+          messages: entry.messages,
+          firstAt: entry.firstAt,
+          lastAt: entry.lastAt,
+          avgLength: Math.round(entry.totalLength / entry.messages * 10) / 10
+        }))
+      }
+    };
+  }
+
+  renderOverlay(body) {
+    const topChatters = this.getTop();
+    body.innerHTML = '';
+
+    if (topChatters.length === 0) {
+      const empty = document.createElement('div');
+      empty.className = 'monitor-section-empty';
+      empty.textContent = 'No chatters yet';
+      body.appendChild(empty);
+      return;
+    }
+
+    const { gini, topShare } = this.getConcentration();
+    const summary = document.createElement('div');
+    summary.className = 'chatter-summary';
+    summary.textContent = `Gini ${gini.toFixed(2)} · top 10% send ${Math.round(topShare * 100)}%`;
+    summary.title = 'Gini 0 = evenly spread, near 1 = carried by a few chatters';
+    body.appendChild(summary);
+
+    topChatters.forEach((chatter, index) => {
+      const row = document.createElement('div');
+      row.className = 'chatter-row';
+
+      const rank = document.createElement('span');
+      rank.className = 'chatter-rank';
+      rank.textContent = `${index + 1}.`;
+      row.appendChild(rank);
+
+      const name = document.createElement('span');
+      name.className = 'chatter-name';
+      name.textContent = chatter.name;
+      name.title = `Avg ${Math.round(chatter.totalLength / chatter.messages)} chars`;
+      row.appendChild(name);
+
+      const count = document.createElement('span');
+      count.className = 'chatter-count';
+      count.textContent = chatter.messages.toLocaleString();
+      row.appendChild(count);
+
+      body.appendChild(row);
+    });
+  }
+}
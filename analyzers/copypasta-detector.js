@@ -0,0 +1,253 @@
+// Stream Chat Analyser - Copypasta Detector
+// Groups near-identical messages inside a sliding window and reports copypasta
+// or spam waves: how many users joined in and the text that started it
+
+class CopypastaDetector {
+  constructor({
+    window = 30,          // Seconds a group stays open after its last message
+    similarity = 0.8,     // Bigram Dice coefficient needed to join a group
+    minLength = 6,        // Normalized characters; shorter messages are ordinary reactions
+    minMessages = 5,      // A group becomes a wave at this many messages...
+    minUsers = 3,         // ...from at least this many distinct users
+    maxGroups = 100,      // Bound on open groups compared per message
+    overlayLimit = 3,
+    sessionLimit = 20
+  } = {}) {
+    this.key = 'copypasta';
+    this.title = 'Copypasta Waves';
+    this.window = window;
+    this.similarity = similarity;
+    this.minLength = minLength;
+    this.minMessages = minMessages;
+    this.minUsers = minUsers;
+    this.maxGroups = maxGroups;
+    this.overlayLimit = overlayLimit;
+    this.sessionLimit = sessionLimit;
+    this.reset();
+  }
+
+  reset() {
+    this.groups = [];        // Open groups, most recently active last
+    this.waves = [];         // Groups that qualified as waves, in start order
+    this.waveMessages = 0;   // Messages that belonged to a wave over the session
+  }
+
+  static normalize(text) {
+    // Fold case and width, drop invisible padding used to dodge duplicate filters,
+    // and collapse punctuation, whitespace and long character runs
+    return (text || '')
+      .normalize('NFKC')
+      .toLowerCase()
+      .replace(/[\u200B-\u200D\u2060\uFEFF\u{E0000}-\u{E007F}]/gu, '')
+      .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+      .replace(/(.)\1{2,}/gu, '$1$1')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  static getBigrams(text) {
+    const bigrams = new Map();
+    for (let i = 0; i < text.length - 1; i++) {
+      const bigram = text.slice(i, i + 2);
+      bigrams.set(bigram, (bigrams.get(bigram) || 0) + 1);
+    }
+    return bigrams;
+  }
+
+  static diceCoefficient(a, b, sizeA, sizeB) {
+    if (sizeA + sizeB === 0) return 0;
+    let overlap = 0;
+    a.forEach((count, bigram) => {
+      if (b.has(bigram)) overlap += Math.min(count, b.get(bigram));
+    });
+    return (2 * overlap) / (sizeA + sizeB);
+  }
+
+  handleMessage(message, monitor) {
+    const normalized = CopypastaDetector.normalize(message.text).slice(0, 300);
+    if (normalized.length < this.minLength) return;
+
+    const now = message.timestamp;
+    this.expireGroups(now);
+
+    const bigrams = CopypastaDetector.getBigrams(normalized);
+    const size = normalized.length - 1;
+    const group = this.findGroup(normalized, bigrams, size) ||
+                  this.openGroup(message, normalized, bigrams, size, monitor.monitoringStartTime);
+
+    group.messages.push(now);
+    group.total++;
+    group.lastSeen = now;
+    if (message.author) group.users.add(ChatMessage.normalizeAuthor(message.author));
+
+    // Keep the most recently active group last so eviction drops stale ones first
+    this.groups.splice(this.groups.indexOf(group), 1);
+    this.groups.push(group);
+
+    this.updateWave(group);
+  }
+
+  removeAuthor(author) {
+    // Called when an author is reclassified as a bot; they no longer count towards a
+    // wave's users, though their earlier messages stay in its message count
+    const key = ChatMessage.normalizeAuthor(author);
+    this.groups.forEach(group => {
+      if (!group.users.delete(key)) return;
+      if (group.wave) group.wave.users = group.users.size;
+    });
+  }
+
+  findGroup(normalized, bigrams, size) {
+    let best = null;
+    let bestScore = this.similarity;
+
+    for (const group of this.groups) {
+      if (group.normalized === normalized) return group;
+
+      // Dice cannot reach the threshold when the lengths differ too much
+      const shorter = Math.min(size, group.size);
+      const longer = Math.max(size, group.size);
+      if ((2 * shorter) / (shorter + longer) < bestScore) continue;
+
+      const score = CopypastaDetector.diceCoefficient(bigrams, group.bigrams, size, group.size);
+      if (score >= bestScore) {
+        best = group;
+        bestScore = score;
+      }
+    }
+
+    return best;
+  }
+
+  openGroup(message, normalized, bigrams, size, startTime) {
+    const group = {
+      normalized,
+      bigrams,
+      size,
+      text: message.text.slice(0, 200), // Leading (first seen) text
+      messages: [],                     // Timestamps inside the window
+      total: 0,
+      users: new Set(),
+      firstSeen: message.timestamp,
+      lastSeen: message.timestamp,
+      startTime,                        // Monitoring start, for the wave's session offset
+      wave: null
+    };
+
+    this.groups.push(group);
+    if (this.groups.length > this.maxGroups) {
+      this.closeGroup(this.groups.shift());
+    }
+    return group;
+  }
+
+  updateWave(group) {
+    if (!group.wave) {
+      if (group.messages.length < this.minMessages || group.users.size < this.minUsers) return;
+
+      group.wave = {
+        text: group.text,
+        startedAt: group.firstSeen,
+        offset: group.startTime ? Math.max(0, Math.round((group.firstSeen - group.startTime) / 1000)) : 0,
+        duration: 0,
+        messages: 0,
+        users: 0,
+        active: true
+      };
+      this.waves.push(group.wave);
+      this.waveMessages += group.total - 1; // Messages before the wave qualified count too
+      console.log('Multi-Platform Chat Monitor: Copypasta wave detected', group.wave.text);
+    }
+
+    this.waveMessages++;
+    group.wave.messages = group.total;
+    group.wave.users = group.users.size;
+    group.wave.duration = Math.round((group.lastSeen - group.firstSeen) / 1000);
+  }
+
+  expireGroups(now) {
+    const cutoff = now - (this.window * 1000);
+    this.groups = this.groups.filter(group => {
+      group.messages = group.messages.filter(timestamp => timestamp > cutoff);
+      if (group.messages.length > 0) return true;
+      this.closeGroup(group);
+      return false;
+    });
+  }
+
+  closeGroup(group) {
+    if (group.wave) group.wave.active = false;
+  }
+
+  tick(monitor, now = Date.now()) {
+    this.expireGroups(now);
+  }
+
+  getActiveWaves() {
+    return this.groups
+      .filter(group => group.wave)
+      .map(group => ({ ...group.wave, recentMessages: group.messages.length }))
+      .sort((a, b) => b.recentMessages - a.recentMessages);
+  }
+
+  getWaveShare(monitor, now = Date.now()) {
+    // Share of the last window's messages that belong to an active wave
+    const cutoff = now - (this.window * 1000);
+    const total = monitor.messageTimestamps.filter(timestamp => timestamp > cutoff).length;
+    if (total === 0) return 0;
+    const inWaves = this.getActiveWaves().reduce((sum, wave) => sum + wave.recentMessages, 0);
+    return Math.min(1, inWaves / total);
+  }
+
+  toSessionData() {
+    return {
+      copypastaWaves: this.waves
+        .slice()
+        .sort((a, b) => b.messages - a.messages)
+        .slice(0, this.sessionLimit)
+        .map(({ text, startedAt, offset, duration, messages, users }) => ({ text, startedAt, offset, duration, messages, users })),
+      copypastaMessages: this.waveMessages
+    };
+  }
+
+  renderOverlay(body, monitor) {
+    body.innerHTML = '';
+
+    const activeWaves = this.getActiveWaves();
+    if (activeWaves.length === 0) {
+      const empty = document.createElement('div');
+      empty.className = 'monitor-section-empty';
+      empty.textContent = this.waves.length > 0
+        ? `No wave right now (${this.waves.length} this session)`
+        : 'No waves yet';
+      body.appendChild(empty);
+      return;
+    }
+
+    if (monitor) {
+      const share = document.createElement('div');
+      share.className = 'copypasta-share';
+      share.textContent = `${Math.round(this.getWaveShare(monitor) * 100)}% of recent chat is copypasta`;
+      body.appendChild(share);
+    }
+
+    activeWaves.slice(0, this.overlayLimit).forEach(wave => {
+      const row = document.createElement('div');
+      row.className = 'copypasta-row';
+
+      const text = document.createElement('span');
+      text.className = 'copypasta-text';
+      text.textContent = wave.text;
+      text.title = wave.text;
+      row.appendChild(text);
+
+      const users = document.createElement('span');
+      users.className = 'copypasta-users';
+      users.textContent = `${wave.users} users`;
+      users.title = `${wave.messages} messages`;
+      row.appendChild(users);
+
+      body.appendChild(row);
+    });
+  }
+}
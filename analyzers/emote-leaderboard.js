@@ -0,0 +1,103 @@
+// Stream Chat Analyser - Emote Leaderboard
+// Counts emote usage over a session from the emotes on each ChatMessage
+
+class EmoteLeaderboard {
+  constructor({ overlayLimit = 5, sessionLimit = 25, maxTracked = 5000 } = {}) {
+    this.key = 'emotes';
+    this.title = 'Top Emotes';
+    this.overlayLimit = overlayLimit; // Rows shown in the overlay section
+    this.sessionLimit = sessionLimit; // Rows saved with the history entry
+    this.maxTracked = maxTracked;     // Bound on distinct emotes kept in memory
+    this.reset();
+  }
+
+  reset() {
+    this.counts = new Map(); // name -> { name, url, provider, count }
+    this.totalEmotes = 0;
+  }
+
+  handleMessage(message) {
+    if (!message.emotes || message.emotes.length === 0) return;
+
+    message.emotes.forEach(emote => {
+      const entry = this.counts.get(emote.name);
+      if (entry) {
+        entry.count++;
+        if (!entry.url && emote.url) entry.url = emote.url;
+      } else {
+        this.counts.set(emote.name, { name: emote.name, url: emote.url, provider: emote.provider, count: 1 });
+      }
+      this.totalEmotes++;
+    });
+
+    if (this.counts.size > this.maxTracked) {
+      this.pruneRareEmotes();
+    }
+  }
+
+  pruneRareEmotes() {
+    // One-off emotes cannot reach the leaderboard in a long session; drop them first
+    for (const [name, entry] of this.counts) {
+      if (entry.count <= 1) this.counts.delete(name);
+    }
+  }
+
+  getTop(limit = this.overlayLimit) {
+    return Array.from(this.counts.values())
+      .sort((a, b) => b.count - a.count)
+      .slice(0, limit);
+  }
+
+  toSessionData() {
+    return {
+      topEmotes: this.getTop(this.sessionLimit).map(({ name, url, provider, count }) => ({ name, url, provider, count })),
+      totalEmotes: this.totalEmotes,
+      distinctEmotes: this.counts.size
+    };
+  }
+
+  renderOverlay(body) {
+    const topEmotes = this.getTop();
+    body.innerHTML = '';
+
+    if (topEmotes.length === 0) {
+      const empty = document.createElement('div');
+      empty.className = 'monitor-section-empty';
+      empty.textContent = 'No emotes yet';
+      body.appendChild(empty);
+      return;
+    }
+
+    topEmotes.forEach((emote, index) => {
+      const row = document.createElement('div');
+      row.className = 'emote-row';
+
+      const rank = document.createElement('span');
+      rank.className = 'emote-rank';
+      rank.textContent = `${index + 1}.`;
+      row.appendChild(rank);
+
+      if (emote.url && emote.url.startsWith('https://')) {
+        const img = document.createElement('img');
+        img.className = 'emote-image';
+        img.src = emote.url;
+        img.alt = emote.name;
+        img.onerror = function() { this.style.display = 'none'; };
+        row.appendChild(img);
+      }
+
+      const name = document.createElement('span');
+      name.className = 'emote-name';
+      name.textContent = emote.name;
+      name.title = emote.name;
+      row.appendChild(name);
+
+      const count = document.createElement('span');
+      count.className = 'emote-count';
+      count.textContent = emote.count.toLocaleString();
+      row.appendChild(count);
+
+      body.appendChild(row);
+    });
+  }
+}
@@ -0,0 +1,113 @@
+// Stream Chat Analyser - Keyword Tracker
+// Counts messages matching the user's watch list (plain phrases or /regex/flags)
+// and keeps a per-minute timeline for each keyword
+
+class KeywordTracker {
+  constructor({ interval = 60 } = {}) {
+    this.key = 'keywords';
+    this.title = 'Keywords';
+    this.interval = interval; // Timeline bucket size in seconds
+    this.keywords = [];       // [{ keyword, pattern }]
+    this.reset();
+  }
+
+  reset() {
+    this.stats = new Map(); // keyword -> { count, timeline: [count per bucket] }
+    this.keywords.forEach(({ keyword }) => this.stats.set(keyword, { count: 0, timeline: [] }));
+  }
+
+  applySettings(settings) {
+    this.setKeywords(settings.watchKeywords || []);
+  }
+
+  setKeywords(entries) {
+    this.keywords = entries
+      .map(entry => (entry || '').trim())
+      .filter((entry, index, list) => entry.length > 0 && list.indexOf(entry) === index)
+      .map(keyword => ({ keyword, pattern: KeywordTracker.compile(keyword) }))
+      .filter(({ pattern }) => pattern !== null);
+
+    // Keep counts for keywords that are still on the list
+    const stats = new Map();
+    this.keywords.forEach(({ keyword }) => {
+      stats.set(keyword, this.stats.get(keyword) || { count: 0, timeline: [] });
+    });
+    this.stats = stats;
+  }
+
+  static compile(keyword) {
+    // "/pattern/flags" is a regex; anything else matches as a whole word or phrase, ignoring case
+    const regexMatch = keyword.match(/^\/(.+)\/([a-z]*)$/);
+    try {
+      if (regexMatch) {
+        const flags = regexMatch[2].replace(/[gy]/g, ''); // Stateful flags break repeated test() calls
+        return new RegExp(regexMatch[1], flags);
+      }
+      const escaped = keyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      return new RegExp(`(?<![\\p{L}\\p{N}_])${escaped}(?![\\p{L}\\p{N}_])`, 'iu');
+    } catch (error) {
+      console.warn('Multi-Platform Chat Monitor: Ignoring invalid keyword pattern:', keyword, error.message);
+      return null;
+    }
+  }
+
+  handleMessage(message, monitor) {
+    if (this.keywords.length === 0 || !message.text) return;
+
+    const startTime = monitor.monitoringStartTime || message.timestamp;
+    const bucket = Math.max(0, Math.floor((message.timestamp - startTime) / (this.interval * 1000)));
+
+    this.keywords.forEach(({ keyword, pattern }) => {
+      if (!pattern.test(message.text)) return;
+
+      const stat = this.stats.get(keyword);
+      stat.count++;
+      while (stat.timeline.length <= bucket) {
+        stat.timeline.push(0);
+      }
+      stat.timeline[bucket]++;
+    });
+  }
+
+  toSessionData() {
+    return {
+      keywordStats: {
+        interval: this.interval,
+        keywords: this.keywords.map(({ keyword }) => {
+          const stat = this.stats.get(keyword);
+          return { keyword, count: stat.count, timeline: stat.timeline.slice() };
+        })
+      }
+    };
+  }
+
+  renderOverlay(body) {
+    body.innerHTML = '';
+
+    if (this.keywords.length === 0) {
+      const empty = document.createElement('div');
+      empty.className = 'monitor-section-empty';
+      empty.textContent = 'Add keywords in the extension popup';
+      body.appendChild(empty);
+      return;
+    }
+
+    this.keywords.forEach(({ keyword }) => {
+      const row = document.createElement('div');
+      row.className = 'keyword-row';
+
+      const name = document.createElement('span');
+      name.className = 'keyword-name';
+      name.textContent = keyword;
+      name.title = keyword;
+      row.appendChild(name);
+
+      const count = document.createElement('span');
+      count.className = 'keyword-count';
+      count.textContent = this.stats.get(keyword).count.toLocaleString();
+      row.appendChild(count);
+
+      body.appendChild(row);
+    });
+  }
+}
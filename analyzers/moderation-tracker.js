@@ -0,0 +1,162 @@
+// Stream Chat Analyser - Moderation Tracker
+// Counts deleted messages, timeouts and bans per minute and keeps the
+// intervals chat modes (slow, sub-only, emote-only, ...) were on, so a rate
+// drop caused by a restrictive mode is not mistaken for the audience leaving
+
+class ModerationTracker {
+  constructor({ interval = 60, overlayLimit = 3, sessionLimit = 100 } = {}) {
+    this.key = 'moderation';
+    this.title = 'Moderation';
+    this.interval = interval;         // Seconds per timeline bucket
+    this.overlayLimit = overlayLimit;
+    this.sessionLimit = sessionLimit; // Timeouts/bans/mode changes saved with the history entry
+    this.reset();
+  }
+
+  reset() {
+    this.totals = { deleted: 0, timeouts: 0, bans: 0 };
+    this.timeline = [];          // Moderation actions per interval since monitoring started
+    this.actionTimestamps = [];  // Last minute of actions, for the live rate
+    this.activeModes = new Map(); // Mode -> { start, duration }
+    this.modeIntervals = [];     // { mode, start, end, duration }, offsets in seconds
+    this.actions = [];           // { type, user, duration, mode, enabled, offset }
+  }
+
+  handleMessage(message) {
+    // Moderation arrives through handleModeration()
+  }
+
+  handleModeration(action, monitor) {
+    const now = action.time || Date.now();
+    const offset = monitor.monitoringStartTime ? Math.round((now - monitor.monitoringStartTime) / 1000) : 0;
+
+    if (action.type === 'mode') {
+      this.updateMode(action, offset);
+      console.log('Multi-Platform Chat Monitor: Chat mode', action.mode, action.enabled ? 'on' : 'off');
+    } else {
+      this.countAction(action, now, offset);
+    }
+
+    if (action.type !== 'delete') {
+      this.actions.push({ ...action, time: now, offset });
+      if (this.actions.length > this.sessionLimit) {
+        this.actions.shift();
+      }
+    }
+  }
+
+  countAction(action, now, offset) {
+    if (action.type === 'delete') this.totals.deleted++;
+    if (action.type === 'timeout') this.totals.timeouts++;
+    if (action.type === 'ban') this.totals.bans++;
+
+    const bucket = Math.floor(offset / this.interval);
+    while (this.timeline.length <= bucket) {
+      this.timeline.push(0);
+    }
+    this.timeline[bucket]++;
+
+    this.actionTimestamps.push(now);
+  }
+
+  updateMode(action, offset) {
+    const active = this.activeModes.get(action.mode);
+
+    if (action.enabled) {
+      // Repeated "now in slow mode" notices (e.g. a new delay) keep the running interval
+      if (active) {
+        active.duration = action.duration || active.duration;
+        return;
+      }
+      const interval = { mode: action.mode, start: offset, end: null, duration: action.duration || null };
+      this.activeModes.set(action.mode, interval);
+      this.modeIntervals.push(interval);
+    } else if (active) {
+      active.end = offset;
+      this.activeModes.delete(action.mode);
+    } else {
+      // Turned off without an "on" notice: the mode was on before monitoring started
+      this.modeIntervals.push({ mode: action.mode, start: 0, end: offset, duration: null });
+    }
+  }
+
+  tick(monitor, now = Date.now()) {
+    const cutoff = now - 60000;
+    this.actionTimestamps = this.actionTimestamps.filter(timestamp => timestamp > cutoff);
+  }
+
+  getActionsPerMinute() {
+    return this.actionTimestamps.length;
+  }
+
+  getActiveModes() {
+    return Array.from(this.activeModes.keys());
+  }
+
+  describeActiveModes() {
+    return this.getActiveModes()
+      .map(mode => {
+        const label = ModerationParser.MODE_LABELS[mode] || mode;
+        const interval = this.activeModes.get(mode);
+        return mode === 'slow' && interval.duration ? `${label} (${interval.duration}s)` : label;
+      })
+      .join(', ');
+  }
+
+  toSessionData() {
+    return {
+      moderation: {
+        ...this.totals,
+        interval: this.interval,
+        timeline: this.timeline.slice(),
+        peakPerMinute: Math.round(Math.max(0, ...this.timeline) * 60 / this.interval),
+        modeIntervals: this.modeIntervals.map(interval => ({ ...interval })), // end is null while still on
+        actions: this.actions.map(action => ({ ...action }))
+      }
+    };
+  }
+
+  renderOverlay(body) {
+    body.innerHTML = '';
+
+    const { deleted, timeouts, bans } = this.totals;
+    const modes = this.describeActiveModes();
+    if (deleted + timeouts + bans === 0 && !modes) {
+      const empty = document.createElement('div');
+      empty.className = 'monitor-section-empty';
+      empty.textContent = 'No moderation yet';
+      body.appendChild(empty);
+      return;
+    }
+
+    const summary = document.createElement('div');
+    summary.className = 'moderation-summary';
+    summary.textContent = `${deleted} deleted · ${timeouts} ${timeouts === 1 ? 'timeout' : 'timeouts'} · ${bans} ${bans === 1 ? 'ban' : 'bans'} · ${this.getActionsPerMinute()}/min`;
+    body.appendChild(summary);
+
+    if (modes) {
+      const active = document.createElement('div');
+      active.className = 'moderation-modes';
+      active.textContent = `Active: ${modes}`;
+      body.appendChild(active);
+    }
+
+    this.actions.slice(-this.overlayLimit).reverse().forEach(action => {
+      const row = document.createElement('div');
+      row.className = 'moderation-row';
+
+      const time = document.createElement('span');
+      time.className = 'spike-time';
+      time.textContent = SpikeDetector.formatOffset(action.offset);
+      row.appendChild(time);
+
+      const label = document.createElement('span');
+      label.className = 'moderation-label';
+      label.textContent = ModerationParser.describe(action);
+      label.title = label.textContent;
+      row.appendChild(label);
+
+      body.appendChild(row);
+    });
+  }
+}
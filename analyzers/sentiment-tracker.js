@@ -0,0 +1,95 @@
+// Stream Chat Analyser - Sentiment Tracker
+// Scores each message with the local SentimentScorer (see sentiment.js), shows
+// the mood of the last minute as a gauge and keeps a per-minute series of
+// positive, negative and neutral messages for the session
+
+class SentimentTracker {
+  constructor({ interval = 60, window = 60 } = {}) {
+    this.key = 'sentiment';
+    this.title = 'Chat Mood';
+    this.interval = interval; // Seconds per timeline bucket
+    this.window = window;     // Seconds of chat the live gauge covers
+    this.scorer = new SentimentScorer();
+    this.reset();
+  }
+
+  reset() {
+    this.totals = { positive: 0, negative: 0, neutral: 0 };
+    this.timeline = [];  // [positive, negative, neutral] per interval since monitoring started
+    this.recent = [];    // { timestamp, polarity } within the gauge window
+  }
+
+  handleMessage(message, monitor) {
+    if (!message.text) return;
+
+    const polarity = SentimentScorer.getPolarity(this.scorer.score(message.text));
+    this.totals[polarity]++;
+
+    const startTime = monitor.monitoringStartTime || message.timestamp;
+    const bucket = Math.max(0, Math.floor((message.timestamp - startTime) / (this.interval * 1000)));
+    while (this.timeline.length <= bucket) {
+      this.timeline.push([0, 0, 0]);
+    }
+    this.timeline[bucket][['positive', 'negative', 'neutral'].indexOf(polarity)]++;
+
+    this.recent.push({ timestamp: message.timestamp, polarity });
+  }
+
+  tick(monitor, now = Date.now()) {
+    const cutoff = now - this.window * 1000;
+    while (this.recent.length > 0 && this.recent[0].timestamp <= cutoff) {
+      this.recent.shift();
+    }
+  }
+
+  getRecentCounts() {
+    const counts = { positive: 0, negative: 0, neutral: 0 };
+    this.recent.forEach(({ polarity }) => counts[polarity]++);
+    return counts;
+  }
+
+  toSessionData() {
+    const { positive, negative, neutral } = this.totals;
+    return {
+      sentiment: {
+        ...this.totals,
+        mood: SentimentScorer.getMood(positive, negative, positive + negative + neutral),
+        interval: this.interval,
+        fields: ['positive', 'negative', 'neutral'],
+        timeline: this.timeline.map(bucket => bucket.slice())
+      }
+    };
+  }
+
+  renderOverlay(body) {
+    body.innerHTML = '';
+
+    const { positive, negative, neutral } = this.getRecentCounts();
+    const total = positive + negative + neutral;
+    if (total === 0) {
+      const empty = document.createElement('div');
+      empty.className = 'monitor-section-empty';
+      empty.textContent = 'No messages in the last minute';
+      body.appendChild(empty);
+      return;
+    }
+
+    // Positive share from the left, negative from the right, neutral in between
+    const gauge = document.createElement('div');
+    gauge.className = 'sentiment-gauge';
+    [['positive', positive], ['neutral', neutral], ['negative', negative]].forEach(([polarity, count]) => {
+      const part = document.createElement('div');
+      part.className = `sentiment-gauge-${polarity}`;
+      part.style.width = `${count / total * 100}%`;
+      gauge.appendChild(part);
+    });
+    gauge.title = `Last minute: ${positive} positive, ${neutral} neutral, ${negative} negative`;
+    body.appendChild(gauge);
+
+    const mood = SentimentScorer.getMood(positive, negative, total);
+    const summary = document.createElement('div');
+    summary.className = 'sentiment-summary';
+    summary.textContent = `${SentimentScorer.describeMood(mood)} (${mood > 0 ? '+' : ''}${mood}) · ${Math.round(positive / total * 100)}% 👍 · ${Math.round(negative / total * 100)}% 👎`;
+    body.appendChild(summary);
+  }
+}
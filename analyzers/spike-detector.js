@@ -0,0 +1,127 @@
+// Stream Chat Analyser - Spike Detector
+// Flags hype moments when the short-term chat rate jumps well above a rolling
+// baseline, sampled once a second from the monitor's messageTimestamps
+
+class SpikeDetector {
+  constructor({
+    shortWindow = 10,       // Seconds averaged for the current rate
+    baselineWindow = 300,   // Seconds of history forming the baseline
+    minBaselineSeconds = 60, // No detection until this much baseline exists
+    threshold = 2.5,        // Spike when the current rate is this multiple of the baseline
+    endThreshold = 1.5,     // Spike ends when the rate falls below this multiple
+    minRate = 20,           // msg/min; ignore "spikes" in near-silent chats
+    overlayLimit = 5
+  } = {}) {
+    this.key = 'spikes';
+    this.title = 'Hype Moments';
+    this.shortWindow = shortWindow;
+    this.baselineWindow = baselineWindow;
+    this.minBaselineSeconds = minBaselineSeconds;
+    this.threshold = threshold;
+    this.endThreshold = endThreshold;
+    this.minRate = minRate;
+    this.overlayLimit = overlayLimit;
+    this.reset();
+  }
+
+  reset() {
+    this.secondCounts = []; // Messages per second, oldest first
+    this.markers = [];
+    this.activeMarker = null;
+  }
+
+  handleMessage(message) {
+    // Rates come from the monitor's timestamps in tick()
+  }
+
+  tick(monitor, now = Date.now()) {
+    const oneSecondAgo = now - 1000;
+    const count = monitor.messageTimestamps.filter(timestamp => timestamp > oneSecondAgo).length;
+
+    this.secondCounts.push(count);
+    if (this.secondCounts.length > this.baselineWindow + this.shortWindow) {
+      this.secondCounts.shift();
+    }
+
+    const recent = this.secondCounts.slice(-this.shortWindow);
+    const history = this.secondCounts.slice(0, -this.shortWindow);
+    if (history.length < this.minBaselineSeconds) return null;
+
+    const currentRate = Math.round(recent.reduce((a, b) => a + b, 0) / recent.length * 60);
+    const baselineRate = Math.round(history.reduce((a, b) => a + b, 0) / history.length * 60);
+
+    if (this.activeMarker) {
+      if (currentRate > this.activeMarker.peakRate) {
+        this.activeMarker.peakRate = currentRate;
+        this.activeMarker.peakAt = now;
+      }
+      if (currentRate < Math.max(this.activeMarker.baselineRate * this.endThreshold, this.minRate)) {
+        this.activeMarker.duration = Math.round((now - this.activeMarker.time) / 1000);
+        this.activeMarker = null;
+      }
+      return null;
+    }
+
+    if (currentRate >= this.minRate && currentRate >= baselineRate * this.threshold) {
+      this.activeMarker = {
+        time: now,
+        offset: monitor.monitoringStartTime ? Math.round((now - monitor.monitoringStartTime) / 1000) : 0,
+        uptime: monitor.getStreamUptime(),
+        peakRate: currentRate,
+        peakAt: now,
+        baselineRate,
+        duration: null
+      };
+      this.markers.push(this.activeMarker);
+      console.log('Multi-Platform Chat Monitor: Chat spike detected', this.activeMarker);
+      monitor.flashOverlay();
+      return this.activeMarker;
+    }
+
+    return null;
+  }
+
+  toSessionData() {
+    return {
+      hypeMarkers: this.markers.map(marker => ({ ...marker }))
+    };
+  }
+
+  renderOverlay(body) {
+    body.innerHTML = '';
+
+    if (this.markers.length === 0) {
+      const empty = document.createElement('div');
+      empty.className = 'monitor-section-empty';
+      empty.textContent = 'No spikes yet';
+      body.appendChild(empty);
+      return;
+    }
+
+    this.markers.slice(-this.overlayLimit).reverse().forEach(marker => {
+      const row = document.createElement('div');
+      row.className = 'spike-row';
+
+      const time = document.createElement('span');
+      time.className = 'spike-time';
+      time.textContent = SpikeDetector.formatOffset(marker.uptime !== null ? marker.uptime : marker.offset);
+      time.title = marker.uptime !== null ? 'Stream uptime' : 'Time since monitoring started';
+      row.appendChild(time);
+
+      const rate = document.createElement('span');
+      rate.className = 'spike-rate';
+      rate.textContent = `${marker.peakRate.toLocaleString()} msg/min`;
+      row.appendChild(rate);
+
+      body.appendChild(row);
+    });
+  }
+
+  static formatOffset(seconds) {
+    const total = Math.max(0, Math.round(seconds || 0));
+    const hours = Math.floor(total / 3600);
+    const minutes = Math.floor((total % 3600) / 60);
+    const secs = total % 60;
+    return `${hours.toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
+  }
+}
@@ -0,0 +1,161 @@
+// Stream Chat Analyser - Stream Metadata
+// Samples the stream title, category/game and uptime from the page, records
+// title and category changes as timeline events, and splits chat activity into
+// per-category segments so rates can be compared by game
+
+class StreamMetadataTracker {
+  constructor({ sampleInterval = 10, eventLimit = 50 } = {}) {
+    this.key = 'streamInfo';
+    this.title = 'Stream Info';
+    this.sampleInterval = sampleInterval; // Seconds between page reads
+    this.eventLimit = eventLimit;         // Changes kept per session
+    this.reset();
+  }
+
+  reset() {
+    this.streamTitle = null;
+    this.category = null;
+    this.uptimeAtStart = null;  // Stream uptime (s) when monitoring started
+    this.lastUptime = null;
+    this.lastUptimeAt = 0;
+    this.events = [];           // { type: 'title'|'category', from, to, time, offset, uptime }
+    this.segments = [];         // { category, start, end, messages }, offsets in seconds
+    this.lastSampleAt = 0;
+    this.lastOffset = 0;        // Session offset (s) of the latest sample
+  }
+
+  handleMessage(message) {
+    const segment = this.segments[this.segments.length - 1];
+    if (segment) {
+      segment.messages++;
+    }
+  }
+
+  tick(monitor, now = Date.now()) {
+    if (now - this.lastSampleAt < this.sampleInterval * 1000) return;
+    this.lastSampleAt = now;
+
+    const { title, category, uptime } = monitor.getStreamMetadata();
+    const offset = monitor.monitoringStartTime ? Math.round((now - monitor.monitoringStartTime) / 1000) : 0;
+    this.lastOffset = offset;
+
+    if (uptime !== null) {
+      this.lastUptime = uptime;
+      this.lastUptimeAt = now;
+      if (this.uptimeAtStart === null) {
+        this.uptimeAtStart = Math.max(0, uptime - offset);
+      }
+    }
+
+    this.update('title', title, now, offset, uptime);
+    this.update('category', category, now, offset, uptime);
+  }
+
+  update(type, value, now, offset, uptime) {
+    // Missing values (page still loading, element hidden) never count as a change
+    if (!value) return;
+
+    const field = type === 'title' ? 'streamTitle' : 'category';
+    const previous = this[field];
+    if (previous === value) return;
+    this[field] = value;
+
+    if (type === 'category') {
+      this.startSegment(value, previous === null ? 0 : offset);
+    }
+
+    if (previous === null) return;
+
+    const event = { type, from: previous, to: value, time: now, offset, uptime };
+    this.events.push(event);
+    if (this.events.length > this.eventLimit) {
+      this.events.shift();
+    }
+    console.log('Multi-Platform Chat Monitor: Stream metadata changed', event);
+  }
+
+  startSegment(category, offset) {
+    const current = this.segments[this.segments.length - 1];
+    if (current) {
+      current.end = offset;
+    }
+    this.segments.push({ category, start: offset, end: null, messages: 0 });
+  }
+
+  getPrimaryCategory(endOffset) {
+    // Category the session spent the most time in
+    const totals = new Map();
+    this.segments.forEach(segment => {
+      const end = segment.end !== null ? segment.end : endOffset;
+      totals.set(segment.category, (totals.get(segment.category) || 0) + Math.max(0, end - segment.start));
+    });
+
+    let primary = null;
+    let longest = -1;
+    totals.forEach((seconds, category) => {
+      if (seconds > longest) {
+        primary = category;
+        longest = seconds;
+      }
+    });
+    return primary;
+  }
+
+  toSessionData() {
+    // The open segment runs to the latest sample
+    const endOffset = this.lastOffset;
+
+    return {
+      streamTitle: this.streamTitle,
+      streamCategory: this.getPrimaryCategory(endOffset),
+      streamUptimeAtStart: this.uptimeAtStart,
+      streamUptimeAtEnd: this.lastUptime,
+      streamEvents: this.events.map(event => ({ ...event })),
+      categorySegments: this.segments.map(segment => ({ ...segment, end: segment.end !== null ? segment.end : endOffset }))
+    };
+  }
+
+  renderOverlay(body, monitor) {
+    body.innerHTML = '';
+
+    const rows = [
+      ['Category', this.category],
+      ['Title', this.streamTitle],
+      ['Uptime', this.lastUptime !== null ? SpikeDetector.formatOffset(this.lastUptime + (Date.now() - this.lastUptimeAt) / 1000) : null]
+    ].filter(([, value]) => value);
+
+    if (rows.length === 0) {
+      const empty = document.createElement('div');
+      empty.className = 'monitor-section-empty';
+      empty.textContent = 'No stream info on this page';
+      body.appendChild(empty);
+      return;
+    }
+
+    rows.forEach(([label, value]) => {
+      const row = document.createElement('div');
+      row.className = 'stream-info-row';
+
+      const name = document.createElement('span');
+      name.className = 'stream-info-label';
+      name.textContent = label;
+      row.appendChild(name);
+
+      const text = document.createElement('span');
+      text.className = 'stream-info-value';
+      text.textContent = value;
+      text.title = value;
+      row.appendChild(text);
+
+      body.appendChild(row);
+    });
+
+    const changes = this.events.length;
+    if (changes > 0) {
+      const summary = document.createElement('div');
+      summary.className = 'stream-info-changes';
+      summary.textContent = `${changes} ${changes === 1 ? 'change' : 'changes'} this session`;
+      body.appendChild(summary);
+    }
+  }
+}
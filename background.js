@@ -1,6 +1,8 @@
 // Twitch Chat Activity Monitor - Background Script (Service Worker)
 // Handles extension lifecycle and coordinates between content scripts
 
+importScripts('history-store.js', 'chatter-hash.js', 'chatter-registry.js', 'session-lifecycle.js');
+
 class TwitchChatMonitorBackground {
   constructor() {
     this.activeTabs = new Map();
@@ -8,8 +10,17 @@ class TwitchChatMonitorBackground {
       enabled: true,
       showOverlay: true,
       position: 'top-right',
-      theme: 'dark'
+      theme: 'dark',
+      historyRetentionDays: 0, // 0 keeps every session
+      watchKeywords: [],
+      baseCurrency: 'USD',
+      currencyRates: null // null uses CurrencyConverter.DEFAULT_RATES
     };
+    this.historyStore = new ChatHistoryStore();
+    this.chatterRegistry = new ChatterRegistry(this.historyStore);
+    this.historyReady = null;
+    this.recoveryPromise = Promise.resolve();
+    this.saveQueue = Promise.resolve(); // Saves run one at a time so a duplicate sessionId is seen before the registry counts it
 
     this.init();
   }
@@ -18,6 +29,12 @@ class TwitchChatMonitorBackground {
     // Load saved settings
     this.loadSettings();
 
+    // Move any legacy chrome.storage history into IndexedDB before serving history requests
+    this.historyReady = this.prepareHistoryStore();
+
+    // Finalize sessions whose tab closed or crashed before saving (errors are logged by recoverSessions)
+    this.recoverSessions().catch(() => {});
+
     // Set up event listeners
     this.setupEventListeners();
 
@@ -62,7 +79,11 @@ class TwitchChatMonitorBackground {
         showOverlay: true,
         position: 'top-right',
         theme: 'dark',
-        timeWindow: 60
+        timeWindow: 60,
+        historyRetentionDays: 0,
+        watchKeywords: [],
+        baseCurrency: 'USD',
+        currencyRates: null
       }
     });
 
@@ -128,6 +149,38 @@ class TwitchChatMonitorBackground {
           sendResponse({ success: true });
           break;
 
+        case 'SAVE_SESSION':
+          const id = await this.saveSession(message.session);
+          if (message.checkpointKey) {
+            await chrome.storage.local.remove(message.checkpointKey);
+          }
+          sendResponse({ success: true, id });
+          break;
+
+        case 'RECOVER_SESSIONS':
+          const recovered = await this.recoverSessions();
+          sendResponse({ success: true, recovered });
+          break;
+
+        case 'GET_CHATTER_SALT':
+          // Tabs hash their chatters with the registry's salt before checkpointing
+          sendResponse({ success: true, salt: await this.chatterRegistry.getSalt() });
+          break;
+
+        case 'GET_HISTORY':
+          await this.historyReady;
+          const sessions = await this.historyStore.getSessions(message.query || {});
+          // Chatter hashes stay here; pages ask for GET_AUDIENCE_OVERLAP instead
+          const history = sessions.map(({ chatterHashes, ...session }) => session);
+          sendResponse({ success: true, history });
+          break;
+
+        case 'GET_AUDIENCE_OVERLAP':
+          await this.historyReady;
+          const overlapSessions = await this.historyStore.getSessions(message.query || {});
+          sendResponse({ success: true, overlap: ChatterRegistry.getAudienceOverlap(overlapSessions, message.channelKey) });
+          break;
+
         case 'ERROR_REPORT':
           console.error('Twitch Chat Monitor Error:', message.error);
           // Could send to error reporting service here
@@ -179,6 +232,13 @@ class TwitchChatMonitorBackground {
         }
       }
 
+      // Retention may have been shortened
+      if (this.historyReady) {
+        this.historyReady.then(() => this.applyHistoryRetention()).catch(error => {
+          console.error('Twitch Chat Monitor: Error applying history retention:', error);
+        });
+      }
+
       console.log('Twitch Chat Monitor: Settings updated', this.settings);
     } catch (error) {
       console.error('Twitch Chat Monitor: Error updating settings:', error);
@@ -186,6 +246,86 @@ class TwitchChatMonitorBackground {
     }
   }
 
+  async prepareHistoryStore() {
+    try {
+      await this.historyStore.migrateFromStorage();
+      await this.applyHistoryRetention();
+    } catch (error) {
+      console.error('Twitch Chat Monitor: Error preparing history store:', error);
+    }
+  }
+
+  saveSession(session) {
+    const run = this.saveQueue.then(() => this.storeSession(session));
+    this.saveQueue = run.catch(() => {});
+    return run;
+  }
+
+  async storeSession(session) {
+    if (!session) {
+      throw new Error('Missing session data');
+    }
+
+    await this.historyReady;
+
+    // The first save of a session wins; a second one (recovery and the tab's own
+    // finalize) would count it twice in history and in the chatter registry
+    const existingId = session.sessionId ? await this.historyStore.getSessionKey(session.sessionId) : null;
+    if (existingId !== null) {
+      console.log('Twitch Chat Monitor: Session already in history store, skipped', session.sessionId);
+      return existingId;
+    }
+
+    const entry = await this.annotateChatters(session);
+    const id = await this.historyStore.addSession(entry);
+    await this.applyHistoryRetention();
+
+    // Let open extension pages (e.g. the dashboard) refresh
+    chrome.runtime.sendMessage({ type: 'HISTORY_UPDATED' }).catch(() => {
+      // No extension pages are listening
+    });
+
+    console.log('Twitch Chat Monitor: Session saved to history store', id);
+    return id;
+  }
+
+  async annotateChatters(session) {
+    // Split chatters into new/returning using the channel's registry
+    try {
+      return await this.chatterRegistry.annotateSession(session);
+    } catch (error) {
+      console.error('Twitch Chat Monitor: Error updating chatter registry:', error);
+      return session;
+    }
+  }
+
+  recoverSessions() {
+    // Serialize recovery runs so a checkpoint is never saved twice
+    const run = this.recoveryPromise.then(async () => {
+      await this.historyReady;
+      const recovered = await SessionLifecycle.recoverOrphanedSessions(session => this.saveSession(session));
+      if (recovered > 0) {
+        console.log(`Twitch Chat Monitor: Recovered ${recovered} unfinished sessions`);
+      }
+      return recovered;
+    });
+
+    this.recoveryPromise = run.catch(error => {
+      console.error('Twitch Chat Monitor: Error recovering sessions:', error);
+    });
+
+    return run;
+  }
+
+  async applyHistoryRetention() {
+    await this.loadSettings();
+    const retentionDays = parseInt(this.settings.historyRetentionDays, 10) || 0;
+    const removed = await this.historyStore.applyRetention({ retentionDays });
+    if (removed > 0) {
+      console.log(`Twitch Chat Monitor: Removed ${removed} sessions older than ${retentionDays} days`);
+    }
+  }
+
   handleActivityUpdate(tabId, data) {
     if (tabId) {
       const tabInfo = this.activeTabs.get(tabId);
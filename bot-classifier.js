@@ -0,0 +1,140 @@
+// Stream Chat Analyser - Bot Classifier
+// Decides whether a chat message comes from a bot or automated account so the
+// monitor can keep bots out of MPM, MPS and unique chatter counts
+
+class BotClassifier {
+  // Common command, alert and game bots across Twitch, YouTube and Kick (lowercase logins)
+  static get KNOWN_BOTS() {
+    return [
+      'nightbot', 'streamelements', 'streamlabs', 'fossabot', 'moobot', 'wizebot',
+      'sery_bot', 'botisimo', 'deepbot', 'coebot', 'phantombot', 'ankhbot', 'vivbot',
+      'soundalerts', 'streamstickers', 'kofistreambot', 'tangiabot', 'own3d', 'blerp',
+      'pokemoncommunitygame', 'stay_hydrated_bot', 'commanderroot', 'lurxx', 'frostytoolsdotcom',
+      'botrix', 'kickbot', 'mixitupbot', 'streamerbot', 'restreambot'
+    ];
+  }
+
+  constructor({
+    historySize = 8,          // Recent messages kept per author for the heuristics
+    intervalMessages = 4,     // Messages needed before judging posting intervals
+    minInterval = 30,         // Seconds; faster regular posting is left to the copypasta detector
+    intervalTolerance = 0.05, // Max deviation from the mean interval, as a fraction
+    templateRepeats = 3,      // Distinct messages sharing one template before flagging
+    minTemplateLength = 20,   // Shorter texts ("@name hi") are ordinary replies
+    maxAuthors = 5000         // Bound on authors with heuristic history
+  } = {}) {
+    this.historySize = historySize;
+    this.intervalMessages = intervalMessages;
+    this.minInterval = minInterval;
+    this.intervalTolerance = intervalTolerance;
+    this.templateRepeats = templateRepeats;
+    this.minTemplateLength = minTemplateLength;
+    this.maxAuthors = maxAuthors;
+    this.knownBots = new Set(BotClassifier.KNOWN_BOTS);
+    this.reset();
+  }
+
+  reset() {
+    this.authors = new Map(); // author -> { count, timestamps, templates: Map<template, Set<text>> }
+    this.bots = new Map();    // author -> reason
+  }
+
+  classify(message) {
+    // Returns null for people, or { reason, priorMessages } where priorMessages
+    // counts this author's earlier messages that were counted as human
+    const author = ChatMessage.normalizeAuthor(message.author);
+    if (!author) return null;
+
+    if (this.bots.has(author)) {
+      return { reason: this.bots.get(author), priorMessages: 0 };
+    }
+
+    let reason = null;
+    if (this.knownBots.has(author)) {
+      reason = 'known';
+    } else if (message.hasBadge('bot')) {
+      reason = 'badge';
+    }
+
+    const history = this.recordHistory(author, message);
+    if (!reason) {
+      reason = this.checkHeuristics(history);
+    }
+    if (!reason) return null;
+
+    this.bots.set(author, reason);
+    this.authors.delete(author);
+    console.log(`Multi-Platform Chat Monitor: Classified ${author} as a bot (${reason})`);
+    return { reason, priorMessages: history.count - 1 };
+  }
+
+  isBot(author) {
+    return this.bots.has(ChatMessage.normalizeAuthor(author));
+  }
+
+  recordHistory(author, message) {
+    let history = this.authors.get(author);
+    if (!history) {
+      history = { count: 0, timestamps: [], templates: new Map() };
+      this.authors.set(author, history);
+      if (this.authors.size > this.maxAuthors) {
+        this.authors.delete(this.authors.keys().next().value);
+      }
+    }
+
+    history.count++;
+    history.timestamps.push(message.timestamp);
+    if (history.timestamps.length > this.historySize) {
+      history.timestamps.shift();
+    }
+
+    const text = (message.text || '').trim().toLowerCase();
+    const template = BotClassifier.toTemplate(text);
+    if (template !== text && text.length >= this.minTemplateLength) {
+      const texts = history.templates.get(template) || new Set();
+      texts.add(text);
+      history.templates.set(template, texts);
+      if (history.templates.size > this.historySize) {
+        history.templates.delete(history.templates.keys().next().value);
+      }
+    }
+
+    return history;
+  }
+
+  checkHeuristics(history) {
+    // Templated replies: "@a, you have 120 points" / "@b, you have 45 points"
+    for (const texts of history.templates.values()) {
+      if (texts.size >= this.templateRepeats) return 'template';
+    }
+
+    // Timers: several messages at a near-constant interval
+    const timestamps = history.timestamps.slice(-this.intervalMessages);
+    if (timestamps.length < this.intervalMessages) return null;
+
+    const intervals = timestamps.slice(1).map((timestamp, index) => timestamp - timestamps[index]);
+    const mean = intervals.reduce((a, b) => a + b, 0) / intervals.length;
+    if (mean < this.minInterval * 1000) return null;
+
+    const maxDeviation = Math.max(...intervals.map(interval => Math.abs(interval - mean)));
+    return maxDeviation <= mean * this.intervalTolerance ? 'interval' : null;
+  }
+
+  static toTemplate(text) {
+    // Replace the variable parts of a bot reply with placeholders
+    return text
+      .replace(/@[\p{L}\p{N}_]+/gu, '@user')
+      .replace(/\d+(?:[.,:]\d+)*/g, '#')
+      .replace(/\s+/g, ' ');
+  }
+
+  static describeReason(reason) {
+    switch (reason) {
+      case 'known': return 'Known bot';
+      case 'badge': return 'Bot badge';
+      case 'template': return 'Templated replies';
+      case 'interval': return 'Fixed-interval posts';
+      default: return 'Bot';
+    }
+  }
+}
@@ -0,0 +1,75 @@
+// Stream Chat Analyser - Chat Message
+// Normalized chat message produced by the platform adapters, so analysis code
+// never has to look at platform DOM structure
+
+class ChatMessage {
+  // Canonical badge names; adapters map platform badge labels onto these
+  static get BADGES() {
+    return ['broadcaster', 'moderator', 'vip', 'subscriber', 'member', 'verified', 'bot'];
+  }
+
+  constructor({
+    id = null,
+    platform = null,
+    author = null,
+    displayName = null,
+    text = '',
+    emotes = [],
+    badges = [],
+    replyTo = null,
+    timestamp = Date.now()
+  } = {}) {
+    this.id = id;                  // Platform message id, when the DOM exposes one
+    this.platform = platform;      // Adapter id, e.g. 'twitch'
+    this.author = author;          // Stable login/handle, used for unique chatter counts
+    this.displayName = displayName || author; // Name as rendered in chat
+    this.text = text;              // Message text with emotes replaced by their names
+    this.emotes = emotes;          // [{ name, url, provider }]
+    this.badges = Array.from(new Set(badges)); // Canonical badge names, see BADGES
+    this.replyTo = replyTo;        // Author the message replies to, or null
+    this.timestamp = timestamp;
+    this.isBot = false;            // Set by the monitor's BotClassifier before counting
+    this.botReason = null;
+  }
+
+  hasBadge(badge) {
+    return this.badges.includes(badge);
+  }
+
+  get isModerator() {
+    return this.hasBadge('broadcaster') || this.hasBadge('moderator');
+  }
+
+  static normalizeAuthor(author) {
+    // Key an author is counted under (unique chatters, bots, per-chatter stats); case can
+    // differ between a login and the name the chat renders
+    return (author || '').trim().toLowerCase();
+  }
+
+  static normalizeBadge(label) {
+    // Map a platform badge label (alt text, tooltip, type attribute) to a canonical badge
+    const value = (label || '').toLowerCase();
+    if (!value) return null;
+
+    if (/broadcaster|owner|streamer/.test(value)) return 'broadcaster';
+    if (/moderator|\bmod\b/.test(value)) return 'moderator';
+    if (/\bvip\b/.test(value)) return 'vip';
+    if (/gifter/.test(value)) return null; // Gift badges say nothing about the sender's own sub
+    if (/subscriber|\bsub\b|founder/.test(value)) return 'subscriber';
+    if (/member/.test(value)) return 'member';
+    if (/verified/.test(value)) return 'verified';
+    if (/\bbot\b/.test(value)) return 'bot';
+    return null;
+  }
+
+  static getEmoteProvider(url) {
+    const value = url || '';
+    if (value.includes('betterttv')) return 'bttv';
+    if (value.includes('7tv')) return '7tv';
+    if (value.includes('frankerfacez')) return 'ffz';
+    if (value.includes('jtvnw.net')) return 'twitch';
+    if (value.includes('ggpht.com') || value.includes('youtube.com')) return 'youtube';
+    if (value.includes('kick.com')) return 'kick';
+    return 'unknown';
+  }
+}
@@ -0,0 +1,19 @@
+// Stream Chat Analyser - Chatter Hashing
+// Salted username hashing shared by the content script (which hashes a session's
+// chatters before anything is written to storage) and the background's chatter
+// registry (which owns the per-install salt).
+
+class ChatterHash {
+  static normalize(name) {
+    return (name || '').trim().toLowerCase();
+  }
+
+  static async hashNames(names, salt) {
+    // Truncated SHA-256 (64 bits) of salt + lowercase name; plenty to tell chatters apart
+    const encoder = new TextEncoder();
+    return Promise.all(names.map(async name => {
+      const digest = await crypto.subtle.digest('SHA-256', encoder.encode(`${salt}:${ChatterHash.normalize(name)}`));
+      return Array.from(new Uint8Array(digest).slice(0, 8), byte => byte.toString(16).padStart(2, '0')).join('');
+    }));
+  }
+}
@@ -0,0 +1,135 @@
+// Stream Chat Analyser - Chatter Registry
+// Persistent per-channel record of who has chatted, owned by the background
+// service worker. Each saved session is compared against it to split its
+// chatters into first-seen and returning, and against the channel's previous
+// session to measure retention. Usernames are stored only as salted hashes.
+
+class ChatterRegistry {
+  static get SALT_KEY() { return 'chatterHashSalt'; }
+
+  constructor(historyStore) {
+    this.historyStore = historyStore;
+    this.updateQueue = Promise.resolve(); // Registry updates are read-modify-write; run them one at a time
+    this.saltPromise = null;
+  }
+
+  getSalt() {
+    // Random per-install salt, so stored hashes cannot be matched against a list of known usernames elsewhere
+    if (this.saltPromise) return this.saltPromise;
+
+    this.saltPromise = chrome.storage.local.get(ChatterRegistry.SALT_KEY).then(async result => {
+      if (result[ChatterRegistry.SALT_KEY]) return result[ChatterRegistry.SALT_KEY];
+
+      const bytes = crypto.getRandomValues(new Uint8Array(16));
+      const salt = Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+      await chrome.storage.local.set({ [ChatterRegistry.SALT_KEY]: salt });
+      return salt;
+    });
+    this.saltPromise.catch(() => { this.saltPromise = null; });
+
+    return this.saltPromise;
+  }
+
+  static getChannelKey(session) {
+    // Same key the dashboard groups channels by
+    return `${session.platform || 'unknown'}:${session.channelName || 'Unknown'}`;
+  }
+
+  static getAudienceOverlap(sessions, channelKey) {
+    // Compare the channel's chatters (union of its sessions' hashed chatter sets) with
+    // every other channel's; null when the channel has no chatter data in these sessions
+    const channels = new Map(); // key -> Set of chatter hashes
+    sessions.forEach(session => {
+      if (!Array.isArray(session.chatterHashes)) return;
+
+      const key = ChatterRegistry.getChannelKey(session);
+      if (!channels.has(key)) channels.set(key, new Set());
+      const chatters = channels.get(key);
+      session.chatterHashes.forEach(hash => chatters.add(hash));
+    });
+
+    const target = channels.get(channelKey);
+    if (!target || target.size === 0) return null;
+
+    return Array.from(channels.entries())
+      .filter(([key, chatters]) => key !== channelKey && chatters.size > 0)
+      .map(([key, chatters]) => {
+        const [smaller, larger] = target.size < chatters.size ? [target, chatters] : [chatters, target];
+        let shared = 0;
+        smaller.forEach(hash => { if (larger.has(hash)) shared++; });
+        const union = target.size + chatters.size - shared;
+        return { key, shared, jaccard: union > 0 ? shared / union : 0, share: shared / target.size };
+      })
+      .filter(entry => entry.shared > 0)
+      .sort((a, b) => b.jaccard - a.jaccard || b.shared - a.shared);
+  }
+
+  annotateSession(session) {
+    // Returns the session with newChatters/returningChatters/retention filled in.
+    // The tab sends chatterHashes already hashed with this registry's salt, see chatter-hash.js
+    const run = this.updateQueue.then(() => this.applySession(session));
+    this.updateQueue = run.catch(() => {});
+    return run;
+  }
+
+  async applySession(session) {
+    const entry = { ...session };
+    if (!Array.isArray(session.chatterHashes) || !session.channelName) {
+      return entry;
+    }
+
+    const channelKey = ChatterRegistry.getChannelKey(session);
+    const record = await this.historyStore.getChannelRegistry(channelKey) || {
+      channelKey,
+      platform: session.platform,
+      channelName: session.channelName,
+      chatters: {},       // name hash -> { firstSeen, lastSeen, sessions }
+      lastSession: null   // { sessionId, timestamp, chatters: [name hash] }
+    };
+
+    const hashes = Array.from(new Set(session.chatterHashes));
+    const seenAt = session.startTime || session.timestamp;
+
+    let returning = 0;
+    hashes.forEach(hash => {
+      const known = record.chatters[hash];
+      if (known) {
+        returning++;
+        known.lastSeen = Math.max(known.lastSeen, seenAt);
+        known.sessions++;
+      } else {
+        record.chatters[hash] = { firstSeen: seenAt, lastSeen: seenAt, sessions: 1 };
+      }
+    });
+
+    entry.chatterHashes = hashes; // Per-session chatter set for audience overlap between channels
+    entry.newChatters = hashes.length - returning;
+    entry.returningChatters = returning;
+    entry.retention = this.getRetention(record.lastSession, session, hashes);
+
+    // Recovered sessions can arrive late; only a newer session becomes the comparison point
+    if (!record.lastSession || record.lastSession.timestamp <= session.timestamp) {
+      record.lastSession = { sessionId: session.sessionId, timestamp: session.timestamp, chatters: hashes };
+    }
+
+    await this.historyStore.putChannelRegistry(record);
+    return entry;
+  }
+
+  getRetention(lastSession, session, hashes) {
+    // Share of the previous session's chatters who chatted again in this one
+    if (!lastSession || lastSession.sessionId === session.sessionId ||
+        lastSession.timestamp > session.timestamp || lastSession.chatters.length === 0) {
+      return null;
+    }
+
+    const current = new Set(hashes);
+    const retained = lastSession.chatters.filter(name => current.has(name)).length;
+    return {
+      previousSessionId: lastSession.sessionId,
+      previousChatters: lastSession.chatters.length,
+      retained,
+      rate: Math.round(retained / lastSession.chatters.length * 1000) / 1000
+    };
+  }
+}
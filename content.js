@@ -7,6 +7,7 @@ class TwitchChatMonitor {
     this.messagesPerSecond = 0;
     this.totalMessages = 0;
     this.messageTimestamps = [];
+    this.authorTimestamps = new Map(); // author -> their timestamps still in messageTimestamps, for bot reclassification
     this.overlay = null;
     this.observer = null;
     this.timeWindow = 60; // 60 seconds for per-minute calculation
@@ -22,18 +23,35 @@ class TwitchChatMonitor {
     this.monitoringStartTime = null;
     this.timerInterval = null;
     this.uniqueChatters = new Set();
+    this.botClassifier = new BotClassifier(); // Bots are counted apart from people, see bot-classifier.js
+    this.viewerCountValidator = new ViewerCountValidator(); // Drops implausible viewer count jumps, see viewer-count.js
+    this.botMessageTimestamps = [];
+    this.botMessages = 0;
+    this.botMessagesPerMinute = 0;
+    this.botChatters = new Map(); // author -> { name, reason, messages }
     this.currentPlatform = null; // 'twitch', 'youtube', 'kick'
-    this.lastMessageTime = null; // For duplicate message prevention
+    this.adapter = null; // PlatformAdapter for the current site, see adapters/
+    this.seenMessageIds = new Set(); // Bounded, insertion-ordered set of platform message ids
+    this.maxSeenMessageIds = 2000;
+    this.seenMessageElements = new WeakSet(); // Fallback for messages without a stable id
+    this.seenEventElements = new WeakSet(); // Sub/raid notices already reported as events
+    this.seenModerationElements = new WeakSet(); // Mod notices and deleted messages already counted
     this.sessionData = {
       messagesPerMinute: [],
       messagesPerSecond: [],
+      botMessagesPerMinute: [],
       viewerCounts: [],
+      timeSeries: [], // [secondsSinceStart, mpm, mps, viewers, uniqueChatters] sampled every 10 seconds
+      peaks: {},
       uniqueChatters: 0,
       totalMessages: 0,
       platform: null
     };
     this.historyModal = null;
     this.historyTableVisible = false;
+    this.sessionLifecycle = new SessionLifecycle(this);
+    this.analyzers = [new EmoteLeaderboard(), new KeywordTracker(), new SpikeDetector(), new CopypastaDetector(), new ChatterStats(), new StreamMetadataTracker(), new ChatEventTracker(), new ModerationTracker(), new SentimentTracker()]; // Chat analyses fed by recordMessage() and the 1s timer, see analyzers/
+    this.collapsedSections = {}; // Overlay section key -> collapsed, persisted in storage.local
 
     this.init();
   }
@@ -62,6 +80,14 @@ class TwitchChatMonitor {
         this.savedPosition = positionResult[positionKey];
       }
 
+      // Load which overlay sections are expanded
+      const sectionsResult = await chrome.storage.local.get('overlaySections');
+      if (sectionsResult.overlaySections) {
+        this.collapsedSections = sectionsResult.overlaySections;
+      }
+
+      this.applyAnalyzerSettings();
+
       console.log('Twitch Chat Monitor: Settings loaded', this.settings);
     } catch (error) {
       console.error('Twitch Chat Monitor: Error loading settings:', error);
@@ -89,15 +115,16 @@ class TwitchChatMonitor {
       this.currentChannel = this.getChannelName();
       this.sessionData.platform = this.currentPlatform;
 
-      // Try to setup chat observer, with retry for YouTube
+      // Try to setup chat observer, with retry for platforms whose chat loads late
       if (!this.setupChatObserver()) {
-        if (this.currentPlatform === 'youtube') {
-          console.log('Multi-Platform Chat Monitor: YouTube chat not ready, will retry in 3 seconds');
+        const retryDelay = this.adapter.chatLoadRetryDelay;
+        if (retryDelay > 0) {
+          console.log(`Multi-Platform Chat Monitor: ${this.adapter.displayName} chat not ready, will retry in ${retryDelay / 1000} seconds`);
           setTimeout(() => {
             if (!this.setupChatObserver()) {
-              console.warn('Multi-Platform Chat Monitor: Failed to setup YouTube chat observer after retry');
+              console.warn(`Multi-Platform Chat Monitor: Failed to setup ${this.adapter.displayName} chat observer after retry`);
             }
-          }, 3000);
+          }, retryDelay);
         }
       }
 
@@ -106,8 +133,12 @@ class TwitchChatMonitor {
       this.setupSettingsListener();
       this.setupURLMonitoring();
 
-      // Start the monitoring timer
+      // Start the monitoring timer and a new checkpointed session
       this.resetTimer();
+      this.sessionLifecycle.start();
+
+      // Finalize sessions left behind by tabs that closed or crashed
+      this.sessionLifecycle.requestRecovery();
 
       // Update thumbnail after a delay to ensure page is fully loaded
       setTimeout(() => {
@@ -120,153 +151,21 @@ class TwitchChatMonitor {
   }
 
   detectPlatform() {
-    const hostname = window.location.hostname;
-    const pathname = window.location.pathname;
-    const url = window.location.href;
-
-    console.log(`Multi-Platform Chat Monitor: Detecting platform for URL: ${url}`);
-
-    if (hostname === 'www.twitch.tv') {
-      console.log('Multi-Platform Chat Monitor: Detected Twitch');
-      return 'twitch';
-    } else if (hostname === 'www.youtube.com') {
-      // Check if it's a live video (contains 'v=' parameter and might have live indicators)
-      if (pathname.includes('/watch')) {
-        console.log('Multi-Platform Chat Monitor: Detected YouTube watch page');
-        return 'youtube';
-      } else {
-        console.log('Multi-Platform Chat Monitor: YouTube page but not watch page');
-        return null;
-      }
-    } else if (hostname === 'kick.com') {
-      // Kick.com channel pages have format /channelname
-      const pathParts = pathname.split('/').filter(p => p);
-      if (pathParts.length === 1) {
-        console.log('Multi-Platform Chat Monitor: Detected Kick channel page');
-        return 'kick';
-      } else {
-        console.log('Multi-Platform Chat Monitor: Kick page but not channel page');
-        return null;
-      }
-    }
+    console.log(`Multi-Platform Chat Monitor: Detecting platform for URL: ${window.location.href}`);
 
-    console.log(`Multi-Platform Chat Monitor: Unknown platform for hostname: ${hostname}`);
-    return null;
+    this.adapter = platformAdapters.detect(window.location);
+    return this.adapter ? this.adapter.id : null;
   }
 
   isValidLivestreamPage() {
-    const platform = this.detectPlatform();
-    if (!platform) return false;
-
-    const url = window.location.href;
-
-    switch (platform) {
-      case 'twitch':
-        // Check if it's a Twitch channel page (not homepage, search, etc.)
-        const twitchRegex = /^https:\/\/www\.twitch\.tv\/[a-zA-Z0-9_]{1,25}(?:\?.*)?$/;
-        return twitchRegex.test(url);
-
-      case 'youtube':
-        // Check if it's a YouTube video page
-        return url.includes('/watch?v=');
-
-      case 'kick':
-        // Check if it's a Kick channel page
-        const kickRegex = /^https:\/\/kick\.com\/[a-zA-Z0-9_-]+$/;
-        return kickRegex.test(url);
-
-      default:
-        return false;
-    }
-  }
-
-  isValidTwitchChannel() {
-    const url = window.location.href;
-    // Check if it's a Twitch channel page (not homepage, search, etc.)
-    const channelRegex = /^https:\/\/www\.twitch\.tv\/[a-zA-Z0-9_]{1,25}(?:\?.*)?$/;
-    return channelRegex.test(url);
+    const adapter = platformAdapters.detect(window.location);
+    return !!adapter && adapter.isValidLivestreamPage(window.location);
   }
 
   getChannelName() {
     try {
-      const url = new URL(window.location.href);
-      const pathParts = url.pathname.split('/').filter(part => part.length > 0);
-
-      switch (this.currentPlatform) {
-        case 'twitch':
-          if (pathParts.length > 0) {
-            return pathParts[0].charAt(0).toUpperCase() + pathParts[0].slice(1);
-          }
-          return 'Twitch Streamer';
-
-        case 'youtube':
-          // Try to get channel name from YouTube-specific elements
-          const ytChannelSelectors = [
-            // Channel name in video owner section
-            '.ytd-channel-name a',
-            '.ytd-video-owner-renderer .ytd-channel-name',
-            '#channel-name a',
-            '#owner #channel-name',
-            '#meta #channel-name',
-            // Channel link text
-            'a[href*="/channel/"]',
-            'a[href*="/c/"]',
-            'a[href*="/user/"]',
-            // Channel name in video meta
-            '.ytd-video-meta-block #channel-name',
-            '.ytd-video-owner-renderer #channel-name'
-          ];
-
-          for (const selector of ytChannelSelectors) {
-            const elements = document.querySelectorAll(selector);
-            for (const element of elements) {
-              const channelName = element.textContent?.trim();
-              if (channelName && channelName.length > 0 && channelName !== 'YouTube') {
-                console.log('Multi-Platform Chat Monitor: Found YouTube channel name:', channelName, 'using selector:', selector);
-                return channelName;
-              }
-            }
-          }
-
-          // Fallback to URL extraction (channel ID from URL)
-          const url = window.location.href;
-          const channelMatch = url.match(/[?&]channel=([^&]+)/) || url.match(/\/channel\/([^/?]+)/) || url.match(/\/c\/([^/?]+)/) || url.match(/\/user\/([^/?]+)/);
-          if (channelMatch && channelMatch[1]) {
-            console.log('Multi-Platform Chat Monitor: Extracted channel from URL:', channelMatch[1]);
-            return channelMatch[1].charAt(0).toUpperCase() + channelMatch[1].slice(1);
-          }
-
-          // Last resort: use page title but try to extract channel name more intelligently
-          const title = document.title;
-          if (title && title.includes(' - YouTube')) {
-            const streamTitle = title.replace(' - YouTube', '').trim();
-            // Try to find channel name in meta tags
-            const channelMeta = document.querySelector('meta[itemprop="channelId"]') ||
-                               document.querySelector('meta[name="twitter:creator"]') ||
-                               document.querySelector('meta[property="og:video:author"]');
-
-            if (channelMeta) {
-              const channelFromMeta = channelMeta.getAttribute('content');
-              if (channelFromMeta) {
-                return channelFromMeta.charAt(0).toUpperCase() + channelFromMeta.slice(1);
-              }
-            }
-
-            // If we can't find better, return the stream title but indicate it's a fallback
-            console.log('Multi-Platform Chat Monitor: Using stream title as fallback for YouTube channel name');
-            return streamTitle;
-          }
-
-          return 'YouTube Channel';
-
-        case 'kick':
-          if (pathParts.length > 0) {
-            return pathParts[0].charAt(0).toUpperCase() + pathParts[0].slice(1);
-          }
-          return 'Kick Streamer';
-
-        default:
-          return 'Livestream';
+      if (this.adapter) {
+        return this.adapter.getChannelName(window.location, document);
       }
     } catch (e) {
       console.warn('Multi-Platform Chat Monitor: Could not extract channel name from URL');
@@ -275,107 +174,12 @@ class TwitchChatMonitor {
   }
 
   getChannelThumbnail(channelName) {
-    // Get thumbnail based on platform
-    const cleanChannelName = channelName.toLowerCase().replace(/[^a-z0-9_]/g, '');
-
-    switch (this.currentPlatform) {
-      case 'twitch':
-        // Try to get the profile image from the current Twitch page
-        const pageAvatar = this.getAvatarFromPage();
-        if (pageAvatar) {
-          return pageAvatar;
-        }
-        // Fallback: Use Twitch's default profile image pattern
-        return `https://static-cdn.jtvnw.net/jtv_user_pictures/${cleanChannelName}-profile_image-70x70.png`;
-
-      case 'youtube':
-        // For YouTube, try to find channel avatar or use a generic icon
-        const ytAvatar = this.getYouTubeAvatar();
-        if (ytAvatar) {
-          return ytAvatar;
-        }
-        return 'https://www.youtube.com/s/desktop/1a6c8b83/img/favicon_144x144.png';
-
-      case 'kick':
-        // For Kick, try to find channel avatar
-        const kickAvatar = this.getKickAvatar();
-        if (kickAvatar) {
-          return kickAvatar;
-        }
-        return 'https://kick.com/favicon.ico';
-
-      default:
-        return 'data:image/svg+xml;base64,PHN2ZyB3aWR0aD0iMzIiIGhlaWdodD0iMzIiIHZpZXdCb3g9IjAgMCAzMiAzMiIgZmlsbD0ibm9uZSIgeG1sbnM9Imh0dHA6Ly93d3cudzMub3JnLzIwMDAvc3ZnIj4KPGNpcmNsZSBjeD0iMTYiIGN5PSIxNiIgcj0iMTYiIGZpbGw9IiMzMzMzMzMiLz4KPHN2ZyB4PSI4IiB5PSI4IiB3aWR0aD0iMTYiIGhlaWdodD0iMTYiIHZpZXdCb3g9IjAgMCAyNCAyNCIgZmlsbD0ibm9uZSI+CjxwYXRoIGQ9Ik0xMiAxMk0xMiAxNk0xNiAxMiIgc3Ryb2tlPSIjZmZmZmZmIiBzdHJva2Utd2lkdGg9IjIiIHN0cm9rZS1saW5lY2FwPSJyb3VuZCIgc3Ryb2tlLWxpbmVqb2luPSJyb3VuZCIvPgo8L3N2Zz4KPC9zdmc+';
-    }
-  }
-
-  getAvatarFromPage() {
-    // Try to find the STREAMER/CHANNEL avatar (not viewer's avatar)
-    // Look for specific selectors that Twitch uses for the channel being viewed
-
-    // Priority 1: Channel/streamer specific selectors
-    const streamerSelectors = [
-      // Main channel header avatar
-      '.channel-header__user-avatar img',
-      '.channel-info__avatar img',
-      '.stream-avatar img',
-      '.channel-root__info img',
-
-      // Live channel specific
-      '.live-channel-header__avatar img',
-      '.channel-header-avatar img',
-
-      // Generic but specific to channel context
-      'img[alt*="channel"]',
-      'img[alt*="streamer"]',
-      'img[data-a-target*="channel"]',
-
-      // Look for avatar in channel info section
-      '.channel-info-section img',
-      '.channel-header-content img'
-    ];
-
-    // Try streamer-specific selectors first
-    for (const selector of streamerSelectors) {
-      const img = document.querySelector(selector);
-      if (img && img.src && img.src.includes('jtv_user_pictures') && img.src.includes('profile_image')) {
-        console.log('Twitch Chat Monitor: Found streamer avatar with selector:', selector);
-        return img.src.replace(/(\d+)x(\d+)/, '70x70');
-      }
-    }
-
-    // Priority 2: Look for the largest profile image (likely the streamer)
-    const allProfileImages = document.querySelectorAll('img[src*="jtv_user_pictures"][src*="profile_image"]');
-    let largestImage = null;
-    let largestArea = 0;
-
-    for (const img of allProfileImages) {
-      const area = (img.naturalWidth || img.width || 0) * (img.naturalHeight || img.height || 0);
-      if (area > largestArea) {
-        largestArea = area;
-        largestImage = img;
-      }
+    if (!this.adapter) {
+      return 'data:image/svg+xml;base64,PHN2ZyB3aWR0aD0iMzIiIGhlaWdodD0iMzIiIHZpZXdCb3g9IjAgMCAzMiAzMiIgZmlsbD0ibm9uZSIgeG1sbnM9Imh0dHA6Ly93d3cudzMub3JnLzIwMDAvc3ZnIj4KPGNpcmNsZSBjeD0iMTYiIGN5PSIxNiIgcj0iMTYiIGZpbGw9IiMzMzMzMzMiLz4KPHN2ZyB4PSI4IiB5PSI4IiB3aWR0aD0iMTYiIGhlaWdodD0iMTYiIHZpZXdCb3g9IjAgMCAyNCAyNCIgZmlsbD0ibm9uZSI+CjxwYXRoIGQ9Ik0xMiAxMk0xMiAxNk0xNiAxMiIgc3Ryb2tlPSIjZmZmZmZmIiBzdHJva2Utd2lkdGg9IjIiIHN0cm9rZS1saW5lY2FwPSJyb3VuZCIgc3Ryb2tlLWxpbmVqb2luPSJyb3VuZCIvPgo8L3N2Zz4KPC9zdmc+';
     }
 
-    if (largestImage) {
-      console.log('Twitch Chat Monitor: Using largest profile image as streamer avatar');
-      return largestImage.src.replace(/(\d+)x(\d+)/, '70x70');
-    }
-
-    // Priority 3: Fallback to any profile image that's visible and reasonably sized
-    const visibleProfileImages = Array.from(allProfileImages).filter(img => {
-      const rect = img.getBoundingClientRect();
-      return rect.width > 20 && rect.height > 20 && rect.top > 0;
-    });
-
-    if (visibleProfileImages.length > 0) {
-      const img = visibleProfileImages[0];
-      console.log('Twitch Chat Monitor: Using visible profile image as streamer avatar');
-      return img.src.replace(/(\d+)x(\d+)/, '70x70');
-    }
-
-    console.log('Twitch Chat Monitor: No suitable streamer avatar found on page');
-    return null;
+    // Prefer the avatar on the page, then the platform's fallback image
+    return this.adapter.getAvatar(channelName, document) || this.adapter.getFallbackAvatar(channelName);
   }
 
   updateThumbnail() {
@@ -388,21 +192,7 @@ class TwitchChatMonitor {
     console.log('Multi-Platform Chat Monitor: Updating thumbnail for channel:', channelName, 'platform:', this.currentPlatform);
 
     // Get avatar based on platform
-    let avatarUrl = null;
-
-    switch (this.currentPlatform) {
-      case 'twitch':
-        avatarUrl = this.getAvatarFromPage();
-        break;
-      case 'youtube':
-        avatarUrl = this.getYouTubeAvatar();
-        break;
-      case 'kick':
-        avatarUrl = this.getKickAvatar();
-        break;
-      default:
-        avatarUrl = this.getAvatarFromPage(); // Fallback to Twitch method
-    }
+    const avatarUrl = this.adapter ? this.adapter.getAvatar(channelName, document) : null;
 
     if (avatarUrl && avatarUrl !== thumbnailElement.src) {
       console.log('Multi-Platform Chat Monitor: Updating thumbnail from page:', avatarUrl);
@@ -411,21 +201,8 @@ class TwitchChatMonitor {
       thumbnailElement.style.display = 'block';
     } else if (!avatarUrl) {
       // Try fallback URLs based on platform
-      let fallbackUrl = null;
-
-      switch (this.currentPlatform) {
-        case 'twitch':
-          fallbackUrl = `https://static-cdn.jtvnw.net/jtv_user_pictures/${channelName.toLowerCase().replace(/[^a-z0-9_]/g, '')}-profile_image-70x70.png`;
-          break;
-        case 'youtube':
-          fallbackUrl = 'https://www.youtube.com/s/desktop/1a6c8b83/img/favicon_144x144.png';
-          break;
-        case 'kick':
-          fallbackUrl = 'https://kick.com/favicon.ico';
-          break;
-        default:
-          fallbackUrl = 'https://www.youtube.com/s/desktop/1a6c8b83/img/favicon_144x144.png';
-      }
+      const fallbackUrl = (this.adapter && this.adapter.getFallbackAvatar(channelName)) ||
+                          'https://www.youtube.com/s/desktop/1a6c8b83/img/favicon_144x144.png';
 
       if (fallbackUrl && fallbackUrl !== thumbnailElement.src) {
         console.log('Multi-Platform Chat Monitor: Using fallback thumbnail:', fallbackUrl);
@@ -455,8 +232,8 @@ class TwitchChatMonitor {
     }
 
     // Handle iframes (YouTube uses iframes for chat)
-    if (this.currentPlatform === 'youtube' && chatContainer.tagName === 'IFRAME') {
-      return this.setupYouTubeIframeObserver(chatContainer);
+    if (chatContainer.tagName === 'IFRAME' && this.adapter.getIframeChatSelectors().length > 0) {
+      return this.setupIframeChatObserver(chatContainer);
     }
 
     // Set up MutationObserver for regular elements
@@ -468,75 +245,67 @@ class TwitchChatMonitor {
               this.processNewMessages(node);
             }
           });
+        } else if (mutation.type === 'attributes') {
+          this.processDeletedMessage(mutation.target);
         }
       });
     });
 
     // Start observing
-    this.observer.observe(chatContainer, {
-      childList: true,
-      subtree: true
-    });
+    this.observer.observe(chatContainer, this.getChatObserverOptions());
 
     console.log('Multi-Platform Chat Monitor: Chat observer started for', this.currentPlatform);
     return true;
   }
 
-  setupYouTubeIframeObserver(iframe) {
-    console.log('Multi-Platform Chat Monitor: Setting up YouTube iframe observer');
+  setupIframeChatObserver(iframe) {
+    console.log('Multi-Platform Chat Monitor: Setting up iframe chat observer for', this.currentPlatform);
 
     // Check if iframe is already loaded
     if (iframe.contentDocument && iframe.contentDocument.readyState === 'complete') {
-      this.attachYouTubeIframeObserver(iframe);
+      this.attachIframeChatObserver(iframe);
       return true;
     }
 
     // Wait for iframe to load
     iframe.addEventListener('load', () => {
-      console.log('Multi-Platform Chat Monitor: YouTube iframe loaded');
-      this.attachYouTubeIframeObserver(iframe);
+      console.log('Multi-Platform Chat Monitor: Chat iframe loaded');
+      this.attachIframeChatObserver(iframe);
     });
 
     // Also try to attach immediately in case it's already loaded
     setTimeout(() => {
       if (!this.observer) {
-        this.attachYouTubeIframeObserver(iframe);
+        this.attachIframeChatObserver(iframe);
       }
     }, 1000);
 
     return true;
   }
 
-  attachYouTubeIframeObserver(iframe) {
+  attachIframeChatObserver(iframe) {
     try {
       const iframeDoc = iframe.contentDocument || iframe.contentWindow.document;
 
       if (!iframeDoc) {
-        console.warn('Multi-Platform Chat Monitor: Cannot access YouTube iframe content');
+        console.warn('Multi-Platform Chat Monitor: Cannot access chat iframe content');
         return;
       }
 
       // Find the actual chat container within the iframe
-      const iframeChatSelectors = [
-        '#chat-messages',
-        '#items',
-        'yt-live-chat-item-list-renderer #contents',
-        'yt-live-chat-item-list-renderer',
-        '[class*="live-chat"]',
-        '#chat #items'
-      ];
+      const iframeChatSelectors = this.adapter.getIframeChatSelectors();
 
       let iframeChatContainer = null;
       for (const selector of iframeChatSelectors) {
         iframeChatContainer = iframeDoc.querySelector(selector);
         if (iframeChatContainer) {
-          console.log('Multi-Platform Chat Monitor: Found YouTube iframe chat container with selector:', selector);
+          console.log('Multi-Platform Chat Monitor: Found iframe chat container with selector:', selector);
           break;
         }
       }
 
       if (!iframeChatContainer) {
-        console.warn('Multi-Platform Chat Monitor: Could not find chat container inside YouTube iframe');
+        console.warn('Multi-Platform Chat Monitor: Could not find chat container inside chat iframe');
         return;
       }
 
@@ -546,154 +315,47 @@ class TwitchChatMonitor {
           if (mutation.type === 'childList') {
             mutation.addedNodes.forEach((node) => {
               if (node.nodeType === Node.ELEMENT_NODE) {
-                // Pass the iframe document context for YouTube
-                this.processNewMessages(node, this.currentPlatform === 'youtube' ? iframeDoc : document);
+                // Pass the iframe document context for username lookups
+                this.processNewMessages(node, iframeDoc);
               }
             });
+          } else if (mutation.type === 'attributes') {
+            this.processDeletedMessage(mutation.target, iframeDoc);
           }
         });
       });
 
       // Start observing the iframe's chat container
-      this.observer.observe(iframeChatContainer, {
-        childList: true,
-        subtree: true
-      });
+      this.observer.observe(iframeChatContainer, this.getChatObserverOptions());
 
-      console.log('Multi-Platform Chat Monitor: YouTube iframe chat observer attached successfully');
+      console.log('Multi-Platform Chat Monitor: Iframe chat observer attached successfully');
 
     } catch (error) {
-      console.error('Multi-Platform Chat Monitor: Error setting up YouTube iframe observer:', error);
+      console.error('Multi-Platform Chat Monitor: Error setting up iframe chat observer:', error);
     }
   }
 
-  findChatContainer() {
-    let selectors = [];
-
-    switch (this.currentPlatform) {
-      case 'twitch':
-        // Twitch chat selectors
-        selectors = [
-          '[data-a-target="chat-scroller"]',
-          '.chat-scrollable-area__message-container',
-          '.chat-list',
-          '.chat-list--default',
-          '.chat-list--other',
-          '#chat-room__content'
-        ];
-        break;
-
-      case 'youtube':
-        // YouTube live chat selectors - more comprehensive
-        selectors = [
-          'yt-live-chat-app',
-          'yt-live-chat-app #contents',
-          'yt-live-chat-app #contents #chat-messages',
-          '#chat-messages',
-          '#items.yt-live-chat-item-list-renderer',
-          'yt-live-chat-item-list-renderer #contents',
-          '#live-chat-iframe',
-          'iframe[src*="live_chat"]',
-          '#chat #items',
-          '#contents #chat',
-          '[class*="live-chat"]',
-          '[class*="chat-messages"]',
-          '#live-chat-messages'
-        ];
-        break;
-
-      case 'kick':
-        // Kick chat selectors - more comprehensive
-        selectors = [
-          '#chatroom-messages',
-          '#chatroom-messages .group.relative',
-          '#chatroom-messages [class*="message"]',
-          '.chat-messages',
-          '.chat-container .messages',
-          '.chat-room__messages',
-          '.chat-messages-container',
-          '[class*="chat-messages"]',
-          '[class*="messages-container"]',
-          '[data-testid*="chat"]',
-          '[role="log"]',
-          '.chat-log',
-          '.messages-list',
-          '#messages-container'
-        ];
-        break;
-
-      default:
-        // Fallback selectors
-        selectors = [
-          '[data-a-target="chat-scroller"]',
-          '.chat-messages',
-          '#chat-messages',
-          '.chat-list'
-        ];
-    }
-
-    for (const selector of selectors) {
-      const element = document.querySelector(selector);
-      if (element) {
-        console.log(`Multi-Platform Chat Monitor: Found chat container for ${this.currentPlatform} with selector: ${selector}`);
-        // Log some details about the element for debugging
-        console.log(`Multi-Platform Chat Monitor: Chat container details:`, {
-          tagName: element.tagName,
-          className: element.className,
-          id: element.id,
-          childElementCount: element.childElementCount
-        });
-        return element;
-      }
-    }
+  getChatObserverOptions() {
+    // New chat lines, plus the attributes a platform sets when it deletes a message in place
+    const attributes = this.adapter.getModerationAttributes();
+    return attributes.length > 0
+      ? { childList: true, subtree: true, attributes: true, attributeFilter: attributes }
+      : { childList: true, subtree: true };
+  }
 
-    console.warn(`Multi-Platform Chat Monitor: No chat container found for ${this.currentPlatform} with known selectors`);
-    // Log all available selectors that were tried
-    console.log(`Multi-Platform Chat Monitor: Tried selectors for ${this.currentPlatform}:`, JSON.stringify(selectors));
-    return null;
+  findChatContainer() {
+    if (!this.adapter) return null;
+    return this.adapter.findChatContainer(document);
   }
 
   processNewMessages(node, doc = document) {
-    let messageSelectors = [];
-
-    switch (this.currentPlatform) {
-      case 'twitch':
-        messageSelectors = ['[data-a-target="chat-message-text"]', '.message', '.chat-message'];
-        break;
-      case 'youtube':
-        messageSelectors = [
-          '#message',
-          '#message span',
-          '.yt-live-chat-text-message-renderer #message',
-          '.style-scope.yt-live-chat-text-message-renderer #message',
-          '[class*="live-chat-text-message"] #message',
-          'yt-live-chat-text-message-renderer #message',
-          '[id="message"]',
-          '[data-message-id] #message',
-          // Additional message content selectors
-          '.style-scope.yt-live-chat-text-message-renderer',
-          '.yt-live-chat-text-message-renderer',
-          '[class*="live-chat-text"]',
-          '[class*="message"]',
-          '[class*="live-chat"]'
-        ];
-        break;
-      case 'kick':
-        messageSelectors = [
-          '.font-normal.leading-\\[1\\.55\\]',
-          '.group.relative .font-normal',
-          '[class*="font-normal"]',
-          '.chat-message',
-          '.message',
-          '[class*="message"]',
-          '[data-testid*="message"]',
-          '.chat-line',
-          '.message-item'
-        ];
-        break;
-      default:
-        messageSelectors = ['.message', '.chat-message', '[data-a-target="chat-message-text"]'];
-    }
+    if (!this.adapter) return;
+
+    // System notices are events or moderation, never messages
+    this.processChatEvents(node, doc);
+    this.processModeration(node, doc);
+
+    const messageSelectors = this.adapter.getMessageSelectors();
 
     // Look for message elements within the added node
     const messageElements = node.querySelectorAll ?
@@ -703,517 +365,210 @@ class TwitchChatMonitor {
     let processedMessage = false;
 
     messageElements.forEach(messageElement => {
-      if (this.isNewMessage(messageElement)) {
+      // Several selectors can match parts of the same chat line; count each line once
+      const messageContainer = this.getMessageContainer(messageElement);
+      if (this.isNewMessage(messageElement) && this.markMessageSeen(messageContainer)) {
+        if (this.recordSystemLine(messageContainer, doc)) {
+          processedMessage = true;
+          return;
+        }
+
         console.log(`Multi-Platform Chat Monitor: Processing ${this.currentPlatform} message element:`, messageElement.outerHTML?.substring(0, 300).replace(/</g, '&lt;').replace(/>/g, '&gt;') + '...');
 
-        const username = this.extractUsername(messageElement, doc);
-        if (!username) {
+        const message = this.parseMessage(messageElement, messageContainer, doc);
+        if (!message.author) {
           // Log more details for debugging
           console.log(`Multi-Platform Chat Monitor: Failed to extract username from ${this.currentPlatform} message element:`, messageElement.outerHTML?.substring(0, 200).replace(/</g, '&lt;').replace(/>/g, '&gt;') + '...');
           console.log(`Multi-Platform Chat Monitor: Recording message without username from ${this.currentPlatform}`);
         } else {
-          console.log(`Multi-Platform Chat Monitor: Successfully extracted username "${username}" from ${this.currentPlatform}`);
+          console.log(`Multi-Platform Chat Monitor: Successfully extracted username "${message.author}" from ${this.currentPlatform}`);
         }
-        this.recordMessage(username);
+        this.recordMessage(message);
+        this.recordChatEvent(this.adapter.parseMessageEvent(message, messageContainer, doc));
         processedMessage = true;
       }
     });
 
     // Only check if the node itself is a message if we haven't already processed message elements within it
-    if (!processedMessage && this.isMessageElement(node, doc)) {
+    const nodeContainer = this.getMessageContainer(node);
+    if (!processedMessage && this.isMessageElement(node, doc) && this.isNewMessage(node) &&
+        this.markMessageSeen(nodeContainer)) {
+      if (this.recordSystemLine(nodeContainer, doc)) return;
+
       console.log(`Multi-Platform Chat Monitor: Processing ${this.currentPlatform} node as message:`, node.outerHTML?.substring(0, 300).replace(/</g, '&lt;').replace(/>/g, '&gt;') + '...');
 
-      const username = this.extractUsername(node, doc);
-      if (!username) {
+      const message = this.parseMessage(node, nodeContainer, doc);
+      if (!message.author) {
         console.log(`Multi-Platform Chat Monitor: Failed to extract username from ${this.currentPlatform} node:`, node.outerHTML?.substring(0, 200).replace(/</g, '&lt;').replace(/>/g, '&gt;') + '...');
         console.log(`Multi-Platform Chat Monitor: Recording message without username from ${this.currentPlatform} node`);
       } else {
-        console.log(`Multi-Platform Chat Monitor: Successfully extracted username "${username}" from ${this.currentPlatform} node`);
+        console.log(`Multi-Platform Chat Monitor: Successfully extracted username "${message.author}" from ${this.currentPlatform} node`);
       }
-      this.recordMessage(username);
+      this.recordMessage(message);
+      this.recordChatEvent(this.adapter.parseMessageEvent(message, nodeContainer, doc));
     }
   }
 
-  isMessageElement(element, doc = document) {
-    // Check if element looks like a chat message based on platform
-    if (!element || (!element.hasAttribute && !element.classList)) return false;
-
-    switch (this.currentPlatform) {
-      case 'twitch':
-        return element.hasAttribute('data-a-target') && element.getAttribute('data-a-target').includes('message') ||
-               element.classList.contains('message') ||
-               element.classList.contains('chat-message') ||
-               element.classList.contains('chat-line__message');
-
-      case 'youtube':
-        return element.classList.contains('yt-live-chat-text-message-renderer') ||
-               element.id === 'message' ||
-               element.classList.contains('message') ||
-               element.hasAttribute('data-message-id') ||
-               element.classList.contains('live-chat');
+  processChatEvents(node, doc = document) {
+    const selectors = this.adapter.getEventSelectors();
+    if (selectors.length === 0 || !node.querySelectorAll) return;
 
-      case 'kick':
-        return element.classList.contains('chat-message') ||
-               element.classList.contains('message') ||
-               element.classList.contains('font-normal') ||
-               element.classList.contains('leading-[1.55]') ||
-               element.classList.contains('chat-line') ||
-               element.classList.contains('message-item') ||
-               element.hasAttribute('data-testid') && element.getAttribute('data-testid').includes('message');
-
-      default:
-        return element.classList.contains('message') ||
-               element.classList.contains('chat-message');
-    }
-  }
+    const elements = this.adapter.isEventElement(node) ? [node] : Array.from(node.querySelectorAll(selectors.join(', ')));
+    elements.forEach(element => {
+      if (this.seenEventElements.has(element)) return;
+      this.seenEventElements.add(element);
 
-  isNewMessage(messageElement) {
-    // Simple check to avoid counting the same message multiple times
-    // In a more robust implementation, we'd use message IDs or timestamps
-    return messageElement && messageElement.textContent && messageElement.textContent.trim().length > 0;
+      try {
+        this.recordChatEvent(this.adapter.parseChatEvent(element, doc));
+      } catch (error) {
+        console.warn('Multi-Platform Chat Monitor: Could not parse chat event:', error.message);
+      }
+    });
   }
 
-  extractUsername(messageElement, doc = document) {
-    console.log(`Multi-Platform Chat Monitor: Extracting username for ${this.currentPlatform}`);
-    switch (this.currentPlatform) {
-      case 'twitch':
-        return this.extractTwitchUsername(messageElement, doc);
-      case 'youtube':
-        return this.extractYouTubeUsername(messageElement, doc);
-      case 'kick':
-        return this.extractKickUsername(messageElement, doc);
-      default:
-        return this.extractTwitchUsername(messageElement, doc);
-    }
-  }
-
-  extractTwitchUsername(messageElement, doc = document) {
-    // Try to find username from various Twitch chat structures
-    const usernameSelectors = [
-      '[data-a-user]', // Common Twitch username attribute
-      '.chat-author__display-name',
-      '.message-author',
-      '.username',
-      '.user-display-name',
-      '.chat-message-author'
-    ];
-
-    // Try direct parent/sibling traversal for username
-    for (const selector of usernameSelectors) {
-      const usernameElement = messageElement.closest('[data-a-user]') ||
-                             messageElement.querySelector(selector) ||
-                             messageElement.parentElement?.querySelector(selector);
-
-      if (usernameElement) {
-        const username = usernameElement.getAttribute('data-a-user') ||
-                        usernameElement.textContent?.trim() ||
-                        usernameElement.innerText?.trim();
-        if (username && username.length > 0) {
-          console.log('Multi-Platform Chat Monitor: Extracted Twitch username:', username);
-          return username;
-        }
+  recordSystemLine(container, doc = document) {
+    // Lines in the message feed that are events or mod notices (e.g. Kick subs, hosts and bans)
+    // are not counted as messages
+    if (this.adapter.isEventElement(container)) {
+      if (!this.seenEventElements.has(container)) {
+        this.seenEventElements.add(container);
+        this.recordChatEvent(this.adapter.parseChatEvent(container, doc));
       }
+      return true;
     }
 
-    // Try to find username in chat line structure
-    const chatLine = messageElement.closest('.chat-line') ||
-                   messageElement.closest('[data-a-target*="message"]') ||
-                   messageElement.closest('.message');
-
-    if (chatLine) {
-      const usernameElement = chatLine.querySelector('[data-a-user]');
-      if (usernameElement) {
-        const username = usernameElement.getAttribute('data-a-user');
-        if (username) {
-          console.log('Multi-Platform Chat Monitor: Extracted username from chat line:', username);
-          return username;
-        }
+    if (this.adapter.isModerationElement(container)) {
+      if (!this.seenModerationElements.has(container)) {
+        this.seenModerationElements.add(container);
+        this.recordModeration(this.adapter.parseModerationNotice(container, doc));
       }
+      return true;
     }
 
-    // Fallback: try to extract from aria-label or other attributes
-    const ariaLabel = messageElement.getAttribute('aria-label') ||
-                     messageElement.parentElement?.getAttribute('aria-label');
-
-    if (ariaLabel && ariaLabel.includes('message from')) {
-      const match = ariaLabel.match(/message from ([^\s,]+)/);
-      if (match && match[1]) {
-        console.log('Multi-Platform Chat Monitor: Extracted username from aria-label:', match[1]);
-        return match[1];
-      }
-    }
+    return false;
+  }
 
-    console.log('Multi-Platform Chat Monitor: Could not extract Twitch username from message');
-    return null;
-  }
-
-  extractYouTubeUsername(messageElement, doc = document) {
-    console.log('Multi-Platform Chat Monitor: YouTube username extraction starting from element:', messageElement.outerHTML?.substring(0, 200) + '...');
-
-    // YouTube live chat structure: username is usually in the parent container
-    // Find the message container (parent of the message span)
-    const messageContainer = messageElement.closest('yt-live-chat-text-message-renderer') ||
-                           messageElement.closest('[class*="live-chat-text-message"]') ||
-                           messageElement.closest('.style-scope.yt-live-chat-text-message-renderer') ||
-                           messageElement.parentElement?.parentElement ||
-                           messageElement.parentElement;
-
-    console.log('Multi-Platform Chat Monitor: YouTube message container found:', messageContainer?.outerHTML?.substring(0, 500) + '...');
-
-    // Debug: Log all child elements to understand the structure
-    if (messageContainer) {
-      console.log('Multi-Platform Chat Monitor: YouTube message container children:', Array.from(messageContainer.children).map(child => ({
-        tagName: child.tagName,
-        id: child.id,
-        className: child.className,
-        textContent: child.textContent?.substring(0, 100)
-      })));
-      // Look for username elements within the message container
-      const usernameSelectors = [
-        '#author-name',
-        '#author-name a',
-        '#author-name span',
-        '.yt-live-chat-author-chip',
-        '.yt-live-chat-author-chip a',
-        '.yt-live-chat-author-chip span',
-        '[class*="author-name"]',
-        '[class*="author-name"] a',
-        '[class*="author-name"] span',
-        '[author-name]',
-        '[data-author-name]',
-        '.author-name',
-        '.author-name a',
-        '.author-name span',
-        // Additional YouTube-specific selectors
-        '.style-scope.yt-live-chat-text-message-renderer #author-name',
-        '.style-scope.yt-live-chat-text-message-renderer .yt-live-chat-author-chip',
-        '[class*="author"]',
-        '[class*="author"] a',
-        '[class*="author"] span',
-        'a[href*="/channel/"]',
-        'a[href*="/user/"]',
-        'a[href*="/c/"]'
-      ];
+  processModeration(node, doc = document) {
+    const selectors = this.adapter.getModerationSelectors();
+    if (selectors.length === 0 || !node.querySelectorAll) return;
 
-      for (const selector of usernameSelectors) {
-        const usernameElement = messageContainer.querySelector(selector);
+    const elements = this.adapter.isModerationElement(node) ? [node] : Array.from(node.querySelectorAll(selectors.join(', ')));
+    elements.forEach(element => {
+      if (this.seenModerationElements.has(element)) return;
+      this.seenModerationElements.add(element);
+      this.recordModeration(this.adapter.parseModerationNotice(element, doc));
+    });
+  }
 
-        if (usernameElement) {
-          let username = usernameElement.textContent?.trim() ||
-                        usernameElement.innerText?.trim() ||
-                        usernameElement.getAttribute('author-name') ||
-                        usernameElement.getAttribute('data-author-name');
+  processDeletedMessage(element, doc = document) {
+    // Messages deleted in place (an attribute change rather than a new node)
+    if (!this.adapter || this.seenModerationElements.has(element) || !this.adapter.isDeletedMessage(element)) return;
+    this.seenModerationElements.add(element);
+    this.recordModeration({ type: 'delete' });
+  }
 
-          // Extract from href if it's a link
-          if (!username && usernameElement.href) {
-            const match = usernameElement.href.match(/[\/@]([^\/@?&]+)$/);
-            if (match) {
-              username = match[1];
-            }
-          }
+  recordModeration(action) {
+    if (!action) return;
 
-          // Filter out common non-username text
-          if (username && username.length > 0 &&
-              username !== 'Chat' &&
-              !username.includes('message') &&
-              !username.includes('from') &&
-              username.length < 50 &&
-              !/^\d{1,2}:\d{2}/.test(username)) { // Exclude timestamps
-            console.log('Multi-Platform Chat Monitor: Extracted YouTube username:', username, 'using selector:', selector);
-            return username;
-          }
-        }
+    action.time = action.time || Date.now();
+    this.analyzers.forEach(analyzer => {
+      if (analyzer.handleModeration) {
+        analyzer.handleModeration(action, this);
       }
-    }
+    });
+  }
 
-    // Fallback: try original selectors on the original message element
-    const fallbackSelectors = [
-      '#author-name',
-      '.yt-live-chat-author-chip',
-      '[class*="author"]',
-      '[class*="username"]',
-      '[author-name]',
-      '[data-author-name]',
-      '.author-name'
-    ];
+  recordChatEvent(event) {
+    // Events (cheers, subs, raids, ...) go to analyzers that track them; they never count as messages
+    if (!event) return;
 
-    for (const selector of fallbackSelectors) {
-      const usernameElement = messageElement.querySelector(selector) ||
-                             messageElement.closest(selector);
-
-      if (usernameElement) {
-        let username = usernameElement.textContent?.trim() ||
-                      usernameElement.innerText?.trim() ||
-                      usernameElement.getAttribute('author-name') ||
-                      usernameElement.getAttribute('data-author-name');
-
-        // Extract from href if it's a link
-        if (!username && usernameElement.href) {
-          const match = usernameElement.href.match(/[\/@]([^\/@?&]+)$/);
-          if (match) {
-            username = match[1];
-          }
-        }
-
-        if (username && username.length > 0 && username !== 'Chat' &&
-            !username.includes('message') && !username.includes('from') &&
-            username.length < 50 && !/^\d{1,2}:\d{2}/.test(username)) {
-          console.log('Multi-Platform Chat Monitor: Extracted YouTube username from fallback:', username, 'using selector:', selector);
-          return username;
-        }
+    event.time = event.time || Date.now();
+    this.analyzers.forEach(analyzer => {
+      if (analyzer.handleEvent) {
+        analyzer.handleEvent(event, this);
       }
-    }
-
-    console.log('Multi-Platform Chat Monitor: Could not extract YouTube username from message element');
-    return null;
-  }
-
-  extractKickUsername(messageElement, doc = document) {
-    // First, try to find the full message container (not just the message content)
-    const messageContainer = messageElement.closest('[class*="message"]') ||
-                           messageElement.closest('[class*="chat-message"]') ||
-                           messageElement.closest('.group.relative') ||
-                           messageElement.closest('[data-testid*="message"]') ||
-                           messageElement.parentElement?.parentElement ||
-                           messageElement.parentElement;
-
-    console.log('Multi-Platform Chat Monitor: Kick message container found:', messageContainer?.outerHTML?.substring(0, 300) + '...');
-
-    // Try to find username in the message container first
-    if (messageContainer && messageContainer !== messageElement) {
-      const containerSelectors = [
-        'button[title]',
-        '.inline-flex button[title]',
-        '[class*="inline-flex"] button[title]',
-        'button.inline',
-        '.chat-author',
-        '.message-author',
-        '.username',
-        '[class*="author"]',
-        '[data-username]',
-        '[data-user]',
-        '.user-name',
-        '.chat-user',
-        'a[href*="/"]',
-        '[role="button"]',
-        // Additional selectors for Kick's structure
-        '.font-semibold',
-        '.font-bold',
-        '[class*="font-semibold"]',
-        '[class*="font-bold"]',
-        '.text-sm',
-        '.text-xs'
-      ];
-
-      for (const selector of containerSelectors) {
-        const usernameElement = messageContainer.querySelector(selector);
-
-        if (usernameElement) {
-          let username = usernameElement.getAttribute('title') ||
-                        usernameElement.getAttribute('data-username') ||
-                        usernameElement.getAttribute('data-user') ||
-                        usernameElement.textContent?.trim() ||
-                        usernameElement.innerText?.trim();
-
-          // Extract username from href if it's a link
-          if (!username && usernameElement.href) {
-            const match = usernameElement.href.match(/\/([^\/]+)$/);
-            if (match) {
-              username = match[1];
-            }
-          }
+    });
+  }
 
-          // Filter out common non-username text
-          if (username && username.length > 0 && username !== 'Chat' &&
-              !username.includes('message') && !username.includes('from') &&
-              username.length < 50) { // Reasonable username length
-            console.log('Multi-Platform Chat Monitor: Extracted Kick username from container:', username);
-            return username;
-          }
-        }
-      }
-    }
+  isMessageElement(element, doc = document) {
+    // Check if element looks like a chat message based on platform
+    return !!this.adapter && this.adapter.isMessageElement(element);
+  }
 
-    // Fallback: try original selectors on the original message element
-    const usernameSelectors = [
-      'button[title]',
-      '.inline-flex button[title]',
-      '[class*="inline-flex"] button[title]',
-      'button.inline',
-      '.chat-author',
-      '.message-author',
-      '.username',
-      '[class*="author"]',
-      '[data-username]',
-      '[data-user]',
-      '.user-name',
-      '.chat-user',
-      'a[href*="/"]',
-      '[role="button"]'
-    ];
+  isNewMessage(messageElement) {
+    // Ignore empty elements; duplicates are filtered by markMessageSeen()
+    return messageElement && messageElement.textContent && messageElement.textContent.trim().length > 0;
+  }
 
-    for (const selector of usernameSelectors) {
-      const usernameElement = messageElement.querySelector(selector) ||
-                             messageElement.closest(selector);
-
-      if (usernameElement) {
-        let username = usernameElement.getAttribute('title') ||
-                      usernameElement.getAttribute('data-username') ||
-                      usernameElement.getAttribute('data-user') ||
-                      usernameElement.textContent?.trim() ||
-                      usernameElement.innerText?.trim();
-
-        // Extract username from href if it's a link
-        if (!username && usernameElement.href) {
-          const match = usernameElement.href.match(/\/([^\/]+)$/);
-          if (match) {
-            username = match[1];
-          }
-        }
+  getMessageContainer(element) {
+    // Resolve any matched element to the chat line it belongs to
+    return this.adapter ? this.adapter.getMessageContainer(element) : element;
+  }
 
-        if (username && username.length > 0 && username !== 'Chat' &&
-            !username.includes('message') && !username.includes('from') &&
-            username.length < 50) {
-          console.log('Multi-Platform Chat Monitor: Extracted Kick username from fallback:', username);
-          return username;
-        }
-      }
-    }
+  getMessageId(container) {
+    // Stable platform message identity, when the DOM exposes one
+    return this.adapter ? this.adapter.getMessageId(container) : null;
+  }
 
-    console.log('Multi-Platform Chat Monitor: Could not extract Kick username from message element:', messageElement.outerHTML?.substring(0, 300) + '...');
-    return null;
-  }
-
-  getYouTubeAvatar() {
-    // Try to find YouTube channel avatar with comprehensive selectors
-    const ytSelectors = [
-      // Main channel avatar selectors
-      '.ytd-video-owner-renderer img',
-      '#avatar img',
-      '#channel-avatar img',
-      '.channel-avatar img',
-      '.ytd-channel-renderer img',
-
-      // Video owner section avatars
-      '.ytd-video-meta-block img',
-      '#owner img',
-      '#meta img',
-
-      // Generic avatar selectors with better specificity
-      'img[alt*="avatar"]',
-      'img[alt*="channel"]',
-      '[class*="avatar"] img',
-      '[class*="channel"] img',
-
-      // YouTube specific classes
-      'yt-img-shadow img',
-      'ytd-channel-thumbnail img',
-
-      // Try to find profile images in channel links
-      'a[href*="/channel/"] img',
-      'a[href*="/c/"] img',
-      'a[href*="/user/"] img',
-
-      // Look for images in the video owner section specifically
-      '.ytd-video-owner-renderer .yt-img-shadow img',
-      '#owner-sub-count',
-      '#owner-container img'
-    ];
+  markMessageSeen(container) {
+    // Returns false if this message was already counted
+    if (!container) return false;
 
-    console.log('Multi-Platform Chat Monitor: Searching for YouTube avatar with selectors');
-
-    for (const selector of ytSelectors) {
-      const img = document.querySelector(selector);
-      if (img && img.src) {
-        // Filter out generic YouTube icons and small images
-        if (!img.src.includes('favicon') &&
-            !img.src.includes('default-avatar') &&
-            img.src.includes('http') &&
-            (img.naturalWidth > 32 || img.width > 32 || img.offsetWidth > 32)) {
-          console.log('Multi-Platform Chat Monitor: Found YouTube avatar with selector:', selector, 'src:', img.src.substring(0, 100) + '...');
-          return img.src;
-        }
+    const messageId = this.getMessageId(container);
+    if (messageId) {
+      const key = `${this.currentPlatform}:${messageId}`;
+      if (this.seenMessageIds.has(key)) {
+        console.log('Multi-Platform Chat Monitor: Skipping already counted message', key);
+        return false;
       }
-    }
 
-    // Try to find the channel thumbnail in the video owner section specifically
-    const videoOwnerSection = document.querySelector('.ytd-video-owner-renderer') ||
-                             document.querySelector('#owner') ||
-                             document.querySelector('#meta');
-
-    if (videoOwnerSection) {
-      const ownerImages = videoOwnerSection.querySelectorAll('img');
-      for (const img of ownerImages) {
-        if (img.src && !img.src.includes('favicon') && !img.src.includes('default-avatar')) {
-          console.log('Multi-Platform Chat Monitor: Found YouTube avatar in video owner section:', img.src.substring(0, 100) + '...');
-          return img.src;
-        }
+      this.seenMessageIds.add(key);
+      if (this.seenMessageIds.size > this.maxSeenMessageIds) {
+        // Sets iterate in insertion order, so the first value is the oldest id
+        this.seenMessageIds.delete(this.seenMessageIds.values().next().value);
       }
     }
 
-    // Try to find channel avatar by looking for profile images near channel names
-    const channelNameElements = document.querySelectorAll('.ytd-channel-name, #channel-name, [class*="channel-name"]');
-    for (const channelElement of channelNameElements) {
-      // Look for sibling or parent images
-      const container = channelElement.closest('.ytd-video-owner-renderer') ||
-                       channelElement.closest('#owner') ||
-                       channelElement.parentElement;
-
-      if (container) {
-        const nearbyImages = container.querySelectorAll('img');
-        for (const img of nearbyImages) {
-          if (img.src && !img.src.includes('favicon') && !img.src.includes('default-avatar')) {
-            console.log('Multi-Platform Chat Monitor: Found YouTube avatar near channel name:', img.src.substring(0, 100) + '...');
-            return img.src;
-          }
-        }
-      }
+    // Element identity also catches re-processing of the same node when no id is available
+    if (this.seenMessageElements.has(container)) {
+      return false;
     }
-
-    console.log('Multi-Platform Chat Monitor: No suitable YouTube avatar found');
-    return null;
+    this.seenMessageElements.add(container);
+    return true;
   }
 
-  getKickAvatar() {
-    // Try to find Kick channel avatar
-    const kickSelectors = [
-      '#channel-avatar',
-      '.channel-avatar img',
-      '.profile-avatar img',
-      '.streamer-avatar img',
-      'img[id="channel-avatar"]',
-      '[class*="avatar"] img',
-      'img[alt*="Destiny"]', // Fallback for specific channels
-      'img[alt*="'+this.getChannelName()+'"]'
-    ];
-
-    for (const selector of kickSelectors) {
-      const img = document.querySelector(selector);
-      if (img && img.src && img.src.includes('files.kick.com')) {
-        console.log('Multi-Platform Chat Monitor: Found Kick avatar with selector:', selector);
-        return img.src;
-      }
+  parseMessage(messageElement, container, doc = document) {
+    // Normalized ChatMessage (author, text, emotes, badges, reply target, id)
+    if (!this.adapter) {
+      return new ChatMessage({ platform: this.currentPlatform, text: messageElement.textContent?.trim() || '' });
     }
-
-    return null;
+    return this.adapter.parseMessage(messageElement, container, doc);
   }
 
-  recordMessage(username = null) {
-    const now = Date.now();
+  recordMessage(message) {
+    const now = message.timestamp || Date.now();
+    const username = message.author;
+    const author = ChatMessage.normalizeAuthor(username);
 
-    // Simple deduplication: don't record the same message within 100ms
-    if (this.lastMessageTime && (now - this.lastMessageTime) < 100) {
-      console.log(`Multi-Platform Chat Monitor: Skipping duplicate message within 100ms`);
+    // Bots are tallied separately and never reach the human rates or analyzers
+    const bot = this.botClassifier.classify(message);
+    if (bot) {
+      this.recordBotMessage(message, bot, now);
       return;
     }
-    this.lastMessageTime = now;
 
     this.messageTimestamps.push(now);
     this.totalMessages++;
 
+    // Feed the per-message analyzers
+    this.analyzers.forEach(analyzer => analyzer.handleMessage(message, this));
+
     // Extract and track unique chatters
-    if (username && username.trim().length > 0) {
-      this.uniqueChatters.add(username.trim());
+    if (author) {
+      this.uniqueChatters.add(author);
+      const timestamps = this.authorTimestamps.get(author) || [];
+      timestamps.push(now);
+      this.authorTimestamps.set(author, timestamps);
       console.log(`Multi-Platform Chat Monitor: Recorded message from ${this.currentPlatform} user: ${username}, unique chatters: ${this.uniqueChatters.size}`);
     } else {
       console.log(`Multi-Platform Chat Monitor: Recorded message without username from ${this.currentPlatform}`);
@@ -1230,6 +585,59 @@ class TwitchChatMonitor {
     this.updateOverlay();
   }
 
+  pruneAuthorTimestamps(cutoffTime) {
+    // Keep each author's timestamps roughly in step with messageTimestamps; quiet authors drop out.
+    // Runs once a second from the timer rather than per message, since it walks every recent author
+    for (const [author, timestamps] of this.authorTimestamps) {
+      if (timestamps[timestamps.length - 1] <= cutoffTime) {
+        this.authorTimestamps.delete(author);
+      } else if (timestamps[0] <= cutoffTime) {
+        this.authorTimestamps.set(author, timestamps.filter(timestamp => timestamp > cutoffTime));
+      }
+    }
+  }
+
+  recordBotMessage(message, bot, now) {
+    message.isBot = true;
+    message.botReason = bot.reason;
+
+    const author = ChatMessage.normalizeAuthor(message.author);
+    this.botMessageTimestamps.push(now);
+    this.botMessages++;
+
+    // Heuristics only fire after a few messages; move those out of the human totals and rates.
+    // Analyzers that track chatters drop the author; emote, keyword and sentiment totals
+    // keep those few messages since they are not counted per author
+    if (bot.priorMessages > 0 && this.uniqueChatters.delete(author)) {
+      const recent = this.authorTimestamps.get(author) || [];
+      this.authorTimestamps.delete(author);
+      recent.forEach(timestamp => {
+        const index = this.messageTimestamps.indexOf(timestamp);
+        if (index !== -1) this.messageTimestamps.splice(index, 1);
+      });
+      this.botMessageTimestamps.push(...recent);
+
+      this.totalMessages = Math.max(0, this.totalMessages - bot.priorMessages);
+      this.sessionData.totalMessages = Math.min(this.sessionData.totalMessages, this.totalMessages);
+      this.botMessages += bot.priorMessages;
+      this.analyzers.forEach(analyzer => {
+        if (analyzer.removeAuthor) {
+          analyzer.removeAuthor(author);
+        }
+      });
+    }
+
+    const entry = this.botChatters.get(author) || { name: message.displayName || author, reason: bot.reason, messages: bot.priorMessages };
+    entry.messages++;
+    this.botChatters.set(author, entry);
+
+    const cutoffTime = now - (this.timeWindow * 1000);
+    this.botMessageTimestamps = this.botMessageTimestamps.filter(timestamp => timestamp > cutoffTime);
+
+    this.calculateActivityRates();
+    this.updateOverlay();
+  }
+
   calculateActivityRates() {
     const now = Date.now();
     const oneMinuteAgo = now - 60000;
@@ -1244,6 +652,9 @@ class TwitchChatMonitor {
     // Calculate rate: messages per second = messages in last second
     this.messagesPerSecond = messagesLastSecond;
 
+    // Bot traffic is reported on its own
+    this.botMessagesPerMinute = this.botMessageTimestamps.filter(timestamp => timestamp > oneMinuteAgo).length;
+
     // Update unique chatters count
     this.sessionData.uniqueChatters = this.uniqueChatters.size;
   }
@@ -1289,6 +700,13 @@ class TwitchChatMonitor {
     const headerActions = document.createElement('div');
     headerActions.className = 'header-actions';
 
+    const historyViewButton = document.createElement('button');
+    historyViewButton.className = 'history-button';
+    historyViewButton.id = 'history-view-button';
+    historyViewButton.title = 'View Chat History';
+    historyViewButton.textContent = '📊';
+    headerActions.appendChild(historyViewButton);
+
     const historyButton = document.createElement('button');
     historyButton.className = 'history-button';
     historyButton.id = 'history-button';
@@ -1368,6 +786,35 @@ class TwitchChatMonitor {
     stats.appendChild(timerDisplay);
 
     container.appendChild(stats);
+
+    // Chatters and messages relative to viewers, refreshed by the 1s timer
+    const engagementSummary = document.createElement('div');
+    engagementSummary.className = 'engagement-summary';
+    engagementSummary.id = 'engagement-summary';
+    engagementSummary.style.display = 'none';
+    container.appendChild(engagementSummary);
+
+    // Bot traffic, kept out of the stats above
+    const botSummary = document.createElement('div');
+    botSummary.className = 'bot-summary';
+    botSummary.id = 'bot-summary';
+    botSummary.style.display = 'none';
+    container.appendChild(botSummary);
+
+    // Chat modes that limit who can chat, so a lower rate is not read as viewers leaving
+    const modeSummary = document.createElement('div');
+    modeSummary.className = 'mode-summary';
+    modeSummary.id = 'mode-summary';
+    modeSummary.style.display = 'none';
+    container.appendChild(modeSummary);
+
+    // Collapsible sections for analyzers that render into the overlay
+    this.analyzers.forEach(analyzer => {
+      if (analyzer.renderOverlay) {
+        container.appendChild(this.createOverlaySection(analyzer));
+      }
+    });
+
     this.overlay.appendChild(container);
 
     // Make overlay draggable
@@ -1381,77 +828,19 @@ class TwitchChatMonitor {
     }, 100);
 
     // Style the overlay based on platform
-    let baseStyles = '';
-    let borderColor = '';
-
-    switch (this.currentPlatform) {
-      case 'twitch':
-        baseStyles = `
-          position: fixed;
-          z-index: 10000;
-          background: rgba(0, 0, 0, 0.8);
-          color: #9146ff;
-          padding: 10px 15px;
-          border-radius: 8px;
-          font-family: 'Inter', -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
-          font-size: 14px;
-          box-shadow: 0 4px 12px rgba(0, 0, 0, 0.3);
-          border: 1px solid rgba(255, 255, 255, 0.1);
-          backdrop-filter: blur(10px);
-        `;
-        borderColor = 'rgba(255, 255, 255, 0.1)';
-        break;
-
-      case 'youtube':
-        baseStyles = `
-          position: fixed;
-          z-index: 10000;
-          background: rgba(0, 0, 0, 0.8);
-          color: #ff0000;
-          padding: 10px 15px;
-          border-radius: 8px;
-          font-family: 'Inter', -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
-          font-size: 14px;
-          box-shadow: 0 4px 12px rgba(0, 0, 0, 0.3);
-          border: 1px solid rgba(255, 255, 255, 0.1);
-          backdrop-filter: blur(10px);
-        `;
-        borderColor = 'rgba(255, 255, 255, 0.1)';
-        break;
-
-      case 'kick':
-        baseStyles = `
-          position: fixed;
-          z-index: 10000;
-          background: rgba(0, 0, 0, 0.8);
-          color: #00ff00;
-          padding: 10px 15px;
-          border-radius: 8px;
-          font-family: 'Inter', -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
-          font-size: 14px;
-          box-shadow: 0 4px 12px rgba(0, 0, 0, 0.3);
-          border: 1px solid rgba(255, 255, 255, 0.1);
-          backdrop-filter: blur(10px);
-        `;
-        borderColor = 'rgba(255, 255, 255, 0.1)';
-        break;
-
-      default:
-        baseStyles = `
-          position: fixed;
-          z-index: 10000;
-          background: rgba(0, 0, 0, 0.8);
-          color: white;
-          padding: 10px 15px;
-          border-radius: 8px;
-          font-family: 'Inter', -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
-          font-size: 14px;
-          box-shadow: 0 4px 12px rgba(0, 0, 0, 0.3);
-          border: 1px solid rgba(255, 255, 255, 0.1);
-          backdrop-filter: blur(10px);
-        `;
-        borderColor = 'rgba(255, 255, 255, 0.1)';
-    }
+    const baseStyles = `
+      position: fixed;
+      z-index: 10000;
+      background: rgba(0, 0, 0, 0.8);
+      color: ${this.adapter ? this.adapter.color : 'white'};
+      padding: 10px 15px;
+      border-radius: 8px;
+      font-family: 'Inter', -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+      font-size: 14px;
+      box-shadow: 0 4px 12px rgba(0, 0, 0, 0.3);
+      border: 1px solid rgba(255, 255, 255, 0.1);
+      backdrop-filter: blur(10px);
+    `;
 
     // Apply platform attribute for CSS theming
     this.overlay.setAttribute('data-platform', this.currentPlatform || 'unknown');
@@ -1484,6 +873,87 @@ class TwitchChatMonitor {
     console.log('Twitch Chat Monitor: Activity overlay created');
   }
 
+  createOverlaySection(analyzer) {
+    // Sections start collapsed so the overlay stays compact
+    const section = document.createElement('div');
+    section.className = 'monitor-section';
+    section.setAttribute('data-section', analyzer.key);
+
+    const toggle = document.createElement('button');
+    toggle.className = 'monitor-section-toggle';
+    toggle.textContent = analyzer.title;
+    section.appendChild(toggle);
+
+    const body = document.createElement('div');
+    body.className = 'monitor-section-body';
+    section.appendChild(body);
+
+    const collapsed = this.collapsedSections[analyzer.key] !== false;
+    section.classList.toggle('collapsed', collapsed);
+    if (!collapsed) {
+      analyzer.renderOverlay(body, this);
+    }
+
+    toggle.addEventListener('click', (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+
+      const isCollapsed = section.classList.toggle('collapsed');
+      this.collapsedSections[analyzer.key] = isCollapsed;
+      if (!isCollapsed) {
+        analyzer.renderOverlay(body, this);
+      }
+
+      chrome.storage.local.set({ overlaySections: this.collapsedSections }).catch(error => {
+        console.warn('Multi-Platform Chat Monitor: Could not save overlay sections:', error.message);
+      });
+    });
+
+    return section;
+  }
+
+  updateOverlaySections() {
+    // Re-render expanded sections; called from the 1s timer rather than per message
+    if (!this.overlay) return;
+
+    this.analyzers.forEach(analyzer => {
+      if (!analyzer.renderOverlay) return;
+      const section = this.overlay.querySelector(`.monitor-section[data-section="${analyzer.key}"]`);
+      if (section && !section.classList.contains('collapsed')) {
+        analyzer.renderOverlay(section.querySelector('.monitor-section-body'), this);
+      }
+    });
+  }
+
+  flashOverlay() {
+    // Brief highlight when a chat spike starts
+    if (!this.overlay) return;
+
+    this.overlay.classList.remove('spike-flash');
+    void this.overlay.offsetWidth; // Restart the animation if it is already running
+    this.overlay.classList.add('spike-flash');
+
+    clearTimeout(this.flashTimeout);
+    this.flashTimeout = setTimeout(() => {
+      if (this.overlay) {
+        this.overlay.classList.remove('spike-flash');
+      }
+    }, 1500);
+  }
+
+  applyAnalyzerSettings() {
+    // Analyzers with user configuration (e.g. the keyword watch list) read it from settings
+    this.analyzers.forEach(analyzer => {
+      if (analyzer.applySettings) {
+        analyzer.applySettings(this.settings);
+      }
+    });
+  }
+
+  getAnalyzerSessionData() {
+    return this.analyzers.reduce((data, analyzer) => ({ ...data, ...analyzer.toSessionData() }), {});
+  }
+
   updateOverlay() {
     if (!this.overlay) return;
 
@@ -1507,6 +977,15 @@ class TwitchChatMonitor {
     if (uniqueElement) {
       uniqueElement.textContent = this.uniqueChatters.size;
     }
+
+    const botSummary = this.overlay.querySelector('#bot-summary');
+    if (botSummary) {
+      botSummary.style.display = this.botChatters.size > 0 ? 'block' : 'none';
+      botSummary.textContent = `🤖 ${this.botChatters.size} ${this.botChatters.size === 1 ? 'bot' : 'bots'} · ${this.botMessagesPerMinute} msg/min excluded`;
+      botSummary.title = Array.from(this.botChatters.values())
+        .map(bot => `${bot.name}: ${bot.messages} (${BotClassifier.describeReason(bot.reason)})`)
+        .join('\n');
+    }
   }
 
   applySettingsToOverlay() {
@@ -1601,6 +1080,8 @@ class TwitchChatMonitor {
         } else {
           // Apply changes immediately
           this.applySettingsToOverlay();
+          this.applyAnalyzerSettings();
+          this.updateOverlaySections();
         }
 
         sendResponse({ success: true });
@@ -1649,99 +1130,9 @@ class TwitchChatMonitor {
       setTimeout(checkURLChange, 100);
     });
 
-    // Check for Twitch's navigation method (they might use custom events)
-    document.addEventListener('twitch-navigate', () => {
-      setTimeout(checkURLChange, 100);
-    });
-
-    // Enhanced YouTube navigation detection
-    if (this.currentPlatform === 'youtube') {
-      // YouTube-specific navigation events
-      document.addEventListener('yt-navigate', () => {
-        setTimeout(checkURLChange, 200);
-      });
-
-      // YouTube page data updates
-      document.addEventListener('yt-page-data-updated', () => {
-        setTimeout(checkURLChange, 200);
-      });
-
-      // Monitor for YouTube's appbar changes (indicates navigation)
-      const appbarObserver = new MutationObserver(() => {
-        setTimeout(() => {
-          const newUrl = window.location.href;
-          if (newUrl !== currentUrl) {
-            console.log('Multi-Platform Chat Monitor: YouTube appbar navigation detected');
-            checkURLChange();
-          }
-        }, 500);
-      });
-
-      // Try to observe YouTube's appbar
-      const appbar = document.querySelector('#masthead, #header, .ytd-masthead');
-      if (appbar) {
-        appbarObserver.observe(appbar, {
-          childList: true,
-          subtree: true,
-          attributes: true,
-          attributeFilter: ['class']
-        });
-      }
-
-      // Periodic URL check for YouTube (fallback)
-      setInterval(() => {
-        const newUrl = window.location.href;
-        if (newUrl !== currentUrl && this.isValidLivestreamPage()) {
-          console.log('Multi-Platform Chat Monitor: YouTube periodic URL check detected change');
-          checkURLChange();
-        }
-      }, 2000); // Check every 2 seconds
-
-      // Additional fallback: Check if extension should be showing but isn't
-      setInterval(() => {
-        if (this.isValidLivestreamPage() && !this.overlay && !this.isInitialized) {
-          console.log('Multi-Platform Chat Monitor: YouTube fallback detected - extension should be active but isn\'t, reinitializing...');
-          this.init();
-        }
-      }, 3000); // Check every 3 seconds
-
-      // Listen for YouTube's player state changes
-      document.addEventListener('onStateChange', () => {
-        setTimeout(checkURLChange, 300);
-      });
-
-      // YouTube history API changes - override pushState and replaceState
-      const originalPushState = history.pushState;
-      const originalReplaceState = history.replaceState;
-
-      history.pushState = function(state, title, url) {
-        const result = originalPushState.apply(this, arguments);
-        setTimeout(() => {
-          const newUrl = window.location.href;
-          if (newUrl !== currentUrl) {
-            console.log('Multi-Platform Chat Monitor: YouTube history.pushState detected');
-            checkURLChange();
-          }
-        }, 100);
-        return result;
-      };
-
-      history.replaceState = function(state, title, url) {
-        const result = originalReplaceState.apply(this, arguments);
-        setTimeout(() => {
-          const newUrl = window.location.href;
-          if (newUrl !== currentUrl) {
-            console.log('Multi-Platform Chat Monitor: YouTube history.replaceState detected');
-            checkURLChange();
-          }
-        }, 100);
-        return result;
-      };
-
-      // Also monitor for YouTube's navigation finish events
-      document.addEventListener('yt-navigate-finish', () => {
-        setTimeout(checkURLChange, 300);
-      });
+    // Platform-specific SPA navigation hooks
+    if (this.adapter) {
+      this.adapter.setupNavigationListeners(checkURLChange, this);
     }
 
     console.log('Multi-Platform Chat Monitor: URL monitoring initialized for platform:', this.currentPlatform);
@@ -1754,55 +1145,9 @@ class TwitchChatMonitor {
     if (newChannel !== this.currentChannel) {
       console.log('Multi-Platform Chat Monitor: Channel changed from', this.currentChannel, 'to', newChannel);
 
-      // Save session data synchronously first to avoid context invalidation
+      // Finalize the previous channel's session before resetting counters
       if (this.currentChannel) {
-        try {
-          // Create session data synchronously
-          const sessionDuration = this.monitoringStartTime ? Date.now() - this.monitoringStartTime : 0;
-          const avgMessagesPerMinute = this.sessionData.messagesPerMinute.length > 0
-            ? Math.round(this.sessionData.messagesPerMinute.reduce((a, b) => a + b, 0) / this.sessionData.messagesPerMinute.length)
-            : 0;
-          const avgMessagesPerSecond = this.sessionData.messagesPerSecond.length > 0
-            ? Math.round((this.sessionData.messagesPerSecond.reduce((a, b) => a + b, 0) / this.sessionData.messagesPerSecond.length) * 100) / 100
-            : 0;
-          const avgViewers = this.sessionData.viewerCounts.length > 0
-            ? Math.round(this.sessionData.viewerCounts.reduce((a, b) => a + b, 0) / this.sessionData.viewerCounts.length)
-            : 0;
-
-          const sessionEntry = {
-            channelName: this.currentChannel,
-            channelAvatar: this.getChannelThumbnail(this.currentChannel),
-            avgMessagesPerMinute,
-            avgMessagesPerSecond,
-            sessionDuration,
-            avgViewers,
-            totalMessages: this.sessionData.totalMessages,
-            uniqueChatters: this.sessionData.uniqueChatters,
-            platform: this.currentPlatform,
-            timestamp: Date.now(),
-            formattedDate: new Date().toLocaleString()
-          };
-
-          // Try to save synchronously if possible, but don't block the channel switch
-          if (chrome.storage && chrome.storage.local) {
-            chrome.storage.local.get('chatHistory').then(result => {
-              const history = result.chatHistory || [];
-              history.push(sessionEntry);
-              if (history.length > 100) {
-                history.splice(0, history.length - 100);
-              }
-              chrome.storage.local.set({ 'chatHistory': history }).then(() => {
-                console.log('Multi-Platform Chat Monitor: Session data saved before channel switch');
-              }).catch(err => {
-                console.warn('Multi-Platform Chat Monitor: Could not save session data before channel switch:', err.message);
-              });
-            }).catch(err => {
-              console.warn('Multi-Platform Chat Monitor: Could not load history before channel switch:', err.message);
-            });
-          }
-        } catch (error) {
-          console.warn('Multi-Platform Chat Monitor: Error saving session data before channel switch:', error.message);
-        }
+        this.sessionLifecycle.finalize('channel-change');
       }
 
       // Disconnect old observer to prevent conflicts
@@ -1839,11 +1184,11 @@ class TwitchChatMonitor {
       }
 
       // Wait a bit for the new channel page to load, then setup new chat observer
-      const setupDelay = this.currentPlatform === 'youtube' ? 3000 : 2000;
+      const setupDelay = this.adapter ? this.adapter.channelSwitchDelay : 2000;
       setTimeout(() => {
         this.setupChatObserver();
         console.log('Multi-Platform Chat Monitor: Successfully switched to new channel:', newChannel);
-      }, setupDelay); // Wait longer for YouTube
+      }, setupDelay);
 
       // Update display immediately
       this.updateOverlay();
@@ -1853,54 +1198,8 @@ class TwitchChatMonitor {
   async handleChannelExit() {
     console.log('Multi-Platform Chat Monitor: Exited channel page');
 
-    // Save session data before leaving (with error handling)
-    try {
-      if (this.currentChannel && this.monitoringStartTime) {
-        // Try to save synchronously first
-        const sessionDuration = Date.now() - this.monitoringStartTime;
-        const avgMessagesPerMinute = this.sessionData.messagesPerMinute.length > 0
-          ? Math.round(this.sessionData.messagesPerMinute.reduce((a, b) => a + b, 0) / this.sessionData.messagesPerMinute.length)
-          : 0;
-        const avgMessagesPerSecond = this.sessionData.messagesPerSecond.length > 0
-          ? Math.round((this.sessionData.messagesPerSecond.reduce((a, b) => a + b, 0) / this.sessionData.messagesPerSecond.length) * 100) / 100
-          : 0;
-        const avgViewers = this.sessionData.viewerCounts.length > 0
-          ? Math.round(this.sessionData.viewerCounts.reduce((a, b) => a + b, 0) / this.sessionData.viewerCounts.length)
-          : 0;
-
-        const sessionEntry = {
-          channelName: this.currentChannel,
-          channelAvatar: this.getChannelThumbnail(this.currentChannel),
-          avgMessagesPerMinute,
-          avgMessagesPerSecond,
-          sessionDuration,
-          avgViewers,
-          totalMessages: this.sessionData.totalMessages,
-          uniqueChatters: this.sessionData.uniqueChatters,
-          platform: this.currentPlatform,
-          timestamp: Date.now(),
-          formattedDate: new Date().toLocaleString()
-        };
-
-        // Try to save, but don't wait for it
-        if (chrome.storage && chrome.storage.local) {
-          chrome.storage.local.get('chatHistory').then(result => {
-            const history = result.chatHistory || [];
-            history.push(sessionEntry);
-            if (history.length > 100) {
-              history.splice(0, history.length - 100);
-            }
-            return chrome.storage.local.set({ 'chatHistory': history });
-          }).then(() => {
-            console.log('Multi-Platform Chat Monitor: Session data saved on exit');
-          }).catch(err => {
-            console.warn('Multi-Platform Chat Monitor: Could not save session data on exit:', err.message);
-          });
-        }
-      }
-    } catch (error) {
-      console.warn('Multi-Platform Chat Monitor: Error saving session data on exit:', error.message);
-    }
+    // Save session data before leaving
+    this.sessionLifecycle.finalize('channel-exit');
 
     this.currentChannel = null;
 
@@ -1930,20 +1229,32 @@ class TwitchChatMonitor {
     this.messagesPerSecond = 0;
     this.totalMessages = 0;
     this.messageTimestamps = [];
+    this.authorTimestamps.clear();
     this.uniqueChatters.clear();
-    this.lastMessageTime = null; // Reset duplicate prevention
+    this.botClassifier.reset();
+    this.viewerCountValidator.reset();
+    this.botMessageTimestamps = [];
+    this.botMessages = 0;
+    this.botMessagesPerMinute = 0;
+    this.botChatters.clear();
+    this.seenMessageIds.clear(); // Reset duplicate prevention
+    this.analyzers.forEach(analyzer => analyzer.reset());
 
     // Reset session data
     this.sessionData = {
       messagesPerMinute: [],
       messagesPerSecond: [],
+      botMessagesPerMinute: [],
       viewerCounts: [],
+      timeSeries: [],
+      peaks: {},
       uniqueChatters: 0,
       totalMessages: 0
     };
 
-    // Reset timer
+    // Reset timer and start a new session
     this.resetTimer();
+    this.sessionLifecycle.start();
 
     console.log('Twitch Chat Monitor: Activity data reset');
   }
@@ -1975,227 +1286,135 @@ class TwitchChatMonitor {
       timerElement.textContent = formattedTime;
     }
 
+    this.pruneAuthorTimestamps(Date.now() - (this.timeWindow * 1000));
+
+    // Analyzers that work on rates rather than single messages sample once a second
+    this.analyzers.forEach(analyzer => {
+      if (analyzer.tick) {
+        analyzer.tick(this, Date.now());
+      }
+    });
+
+    this.updateOverlaySections();
+    this.updateEngagementSummary();
+    this.updateModeSummary();
+
     // Collect session data every 10 seconds
     if (elapsed % 10000 < 1000) { // Every 10 seconds
       this.collectSessionData();
     }
   }
 
+  getEngagement(now = Date.now()) {
+    // Live engagement over the session so far, see engagement.js
+    const viewerCounts = this.sessionData.viewerCounts;
+    const avgViewers = viewerCounts.length > 0 ? viewerCounts.reduce((a, b) => a + b, 0) / viewerCounts.length : 0;
+    return EngagementMetrics.compute({
+      uniqueChatters: this.uniqueChatters.size,
+      totalMessages: this.totalMessages,
+      avgViewers,
+      durationMs: this.monitoringStartTime ? now - this.monitoringStartTime : 0
+    });
+  }
+
+  updateEngagementSummary() {
+    const summary = this.overlay && this.overlay.querySelector('#engagement-summary');
+    if (!summary) return;
+
+    const engagement = this.getEngagement();
+    summary.style.display = engagement ? 'block' : 'none';
+    if (engagement) {
+      summary.textContent = `${engagement.chattersPer100Viewers}/100 viewers chat · ${engagement.messagesPerViewerHour} msg/viewer/h · ${Math.round(engagement.lurkerPercent)}% lurk`;
+      summary.title = EngagementMetrics.describe(engagement);
+    }
+  }
+
+  updateModeSummary() {
+    const summary = this.overlay && this.overlay.querySelector('#mode-summary');
+    const moderation = this.analyzers.find(analyzer => analyzer.key === 'moderation');
+    if (!summary || !moderation) return;
+
+    const modes = moderation.describeActiveModes();
+    summary.style.display = modes ? 'block' : 'none';
+    if (modes) {
+      summary.textContent = `🛡 ${modes} · rates limited`;
+      summary.title = 'Chat modes restrict who can chat, so msg/min is lower than the audience would produce';
+    }
+  }
+
   collectSessionData() {
     // Collect current stats for session history
+    const now = Date.now();
     this.sessionData.messagesPerMinute.push(this.messagesPerMinute);
     this.sessionData.messagesPerSecond.push(this.messagesPerSecond);
+    this.sessionData.botMessagesPerMinute.push(this.botMessagesPerMinute);
 
     // Try to get viewer count
-    const viewerCount = this.getViewerCount();
+    const viewerCount = this.viewerCountValidator.accept(this.getViewerCount());
     if (viewerCount > 0) {
       this.sessionData.viewerCounts.push(viewerCount);
     }
 
-    this.sessionData.totalMessages = Math.max(this.sessionData.totalMessages, this.totalMessages);
-  }
+    // Keep a compact timestamped sample so history can show how chat moved over time
+    const secondsSinceStart = this.monitoringStartTime ? Math.round((now - this.monitoringStartTime) / 1000) : 0;
+    this.sessionData.timeSeries.push([
+      secondsSinceStart,
+      this.messagesPerMinute,
+      this.messagesPerSecond,
+      viewerCount > 0 ? viewerCount : null,
+      this.uniqueChatters.size
+    ]);
 
-  getViewerCount() {
-    console.log(`Multi-Platform Chat Monitor: Getting viewer count for ${this.currentPlatform}`);
-
-    switch (this.currentPlatform) {
-      case 'twitch':
-        return this.getTwitchViewerCount();
-      case 'youtube':
-        return this.getYouTubeViewerCount();
-      case 'kick':
-        return this.getKickViewerCount();
-      default:
-        console.log('Multi-Platform Chat Monitor: Unknown platform for viewer count');
-        return 0;
-    }
-  }
-
-  getTwitchViewerCount() {
-    // Twitch-specific viewer count selectors
-    const viewerSelectors = [
-      '[data-a-target="channel-viewers-count"]',
-      '[data-test-selector="stream-info-card-component__viewers-count"]',
-      '.live-viewers-count',
-      '.viewers-count',
-      '.viewer-count',
-      '.stream-info-card-component__viewers-count',
-      '[class*="viewers"]',
-      '[class*="viewer-count"]'
-    ];
-
-    for (const selector of viewerSelectors) {
-      const element = document.querySelector(selector);
-      if (element) {
-        const text = element.textContent || element.innerText || '';
-        console.log('Multi-Platform Chat Monitor: Twitch viewer element found with selector:', selector, 'text:', text);
-        const match = text.match(/(\d+(?:,\d+)*)/);
-        if (match) {
-          const count = parseInt(match[1].replace(/,/g, ''));
-          console.log('Multi-Platform Chat Monitor: Parsed Twitch viewer count:', count);
-          return count;
-        }
-      }
-    }
+    this.updatePeak('messagesPerMinute', this.messagesPerMinute, now);
+    this.updatePeak('messagesPerSecond', this.messagesPerSecond, now);
+    this.updatePeak('viewers', viewerCount, now);
 
-    console.log('Multi-Platform Chat Monitor: No Twitch viewer count found');
-    return 0;
-  }
-
-  getYouTubeViewerCount() {
-    // YouTube-specific viewer count selectors
-    const viewerSelectors = [
-      // Live stream viewer count - most common locations
-      '.view-count',
-      '[class*="view-count"]',
-      '[class*="viewer-count"]',
-      // Try to find elements with viewer/watching text
-      'span[aria-label*="watching"]',
-      'span[aria-label*="viewers"]',
-      // YouTube video info section
-      '.ytd-video-owner-renderer',
-      '.ytd-video-meta-block',
-      // Live badge and viewer count area
-      '.badge-shape-wiz__text',
-      '[class*="live"]',
-      // More specific selectors
-      'yt-formatted-string[class*="ytd-video-view-count-renderer"]',
-      '.ytd-video-view-count-renderer',
-      '.view-count-renderer'
-    ];
-
-    for (const selector of viewerSelectors) {
-      const elements = document.querySelectorAll(selector);
-      for (const element of elements) {
-        const text = element.textContent || element.innerText || '';
-        console.log('Multi-Platform Chat Monitor: YouTube checking element text:', text.substring(0, 100));
-
-        // Look for patterns like "1,234 watching" or "watching" with numbers
-        const patterns = [
-          /(\d+(?:,\d+)*)\s*watching/i,
-          /watching\s*(\d+(?:,\d+)*)/i,
-          /(\d+(?:,\d+)*)\s*viewers?/i,
-          /(\d+(?:,\d+)*)\s*live/i,
-          /(\d+(?:,\d+)*)\s*views?/i,  // Also check for views in case it's not live
-          /(\d+(?:,\d+)*)/  // Fallback: any number in the element
-        ];
-
-        for (const pattern of patterns) {
-          const match = text.match(pattern);
-          if (match && match[1]) {
-            const count = parseInt(match[1].replace(/,/g, ''));
-            if (count > 0 && count < 10000000) { // Reasonable bounds for viewer count
-              console.log('Multi-Platform Chat Monitor: Parsed YouTube viewer count:', count, 'from text:', text, 'using pattern:', pattern);
-              return count;
-            }
-          }
-        }
-      }
-    }
+    this.sessionData.totalMessages = Math.max(this.sessionData.totalMessages, this.totalMessages);
+  }
 
-    // Try aria-label attributes for YouTube
-    const ariaElements = document.querySelectorAll('[aria-label]');
-    for (const element of ariaElements) {
-      const ariaLabel = element.getAttribute('aria-label') || '';
-      if (ariaLabel.includes('watching') || ariaLabel.includes('viewer') || ariaLabel.includes('live')) {
-        console.log('Multi-Platform Chat Monitor: YouTube checking aria-label:', ariaLabel);
-        const match = ariaLabel.match(/(\d+(?:,\d+)*)/);
-        if (match && match[1]) {
-          const count = parseInt(match[1].replace(/,/g, ''));
-          if (count > 0 && count < 10000000) {
-            console.log('Multi-Platform Chat Monitor: Parsed YouTube viewer count from aria-label:', count);
-            return count;
-          }
-        }
-      }
+  updatePeak(metric, value, timestamp) {
+    const peak = this.sessionData.peaks[metric];
+    if (value > 0 && (!peak || value > peak.value)) {
+      this.sessionData.peaks[metric] = { value, timestamp };
     }
+  }
 
-    // Try to find iframe and check its content for viewer count
+  getStreamUptime() {
+    // Seconds since the stream went live, when the platform shows it
     try {
-      const chatIframe = document.querySelector('#chatframe');
-      if (chatIframe && chatIframe.contentDocument) {
-        const iframeSelectors = [
-          '.view-count',
-          '[class*="view-count"]',
-          '[class*="viewer"]',
-          'span[aria-label*="watching"]'
-        ];
-
-        for (const selector of iframeSelectors) {
-          const iframeElements = chatIframe.contentDocument.querySelectorAll(selector);
-          for (const element of iframeElements) {
-            const text = element.textContent || element.innerText || '';
-            console.log('Multi-Platform Chat Monitor: YouTube iframe checking element text:', text);
-
-            const patterns = [
-              /(\d+(?:,\d+)*)\s*watching/i,
-              /(\d+(?:,\d+)*)\s*viewers?/i,
-              /(\d+(?:,\d+)*)/
-            ];
-
-            for (const pattern of patterns) {
-              const match = text.match(pattern);
-              if (match && match[1]) {
-                const count = parseInt(match[1].replace(/,/g, ''));
-                if (count > 0 && count < 10000000) {
-                  console.log('Multi-Platform Chat Monitor: Parsed YouTube iframe viewer count:', count, 'from text:', text);
-                  return count;
-                }
-              }
-            }
-          }
-        }
-      }
+      return this.adapter ? this.adapter.getStreamUptime(document) : null;
     } catch (error) {
-      console.log('Multi-Platform Chat Monitor: Could not access YouTube iframe for viewer count:', error.message);
+      console.warn('Multi-Platform Chat Monitor: Could not read stream uptime:', error.message);
+      return null;
     }
+  }
+
+  getStreamMetadata() {
+    // Title, category/game and uptime as shown on the page; null for anything missing
+    const read = (method) => {
+      try {
+        return this.adapter ? this.adapter[method](document) : null;
+      } catch (error) {
+        console.warn('Multi-Platform Chat Monitor: Could not read stream metadata:', error.message);
+        return null;
+      }
+    };
 
-    console.log('Multi-Platform Chat Monitor: No YouTube viewer count found');
-    return 0;
+    return {
+      title: read('getStreamTitle'),
+      category: read('getStreamCategory'),
+      uptime: this.getStreamUptime()
+    };
   }
 
-  getKickViewerCount() {
-    // Kick-specific viewer count selectors
-    const viewerSelectors = [
-      '.viewers-count',
-      '.viewer-count',
-      '[class*="viewers"]',
-      '[class*="viewer"]',
-      '.live-viewers',
-      '.stream-stats',
-      // Try to find text containing viewer numbers
-      '[class*="stats"]',
-      '[class*="info"]'
-    ];
+  getViewerCount() {
+    console.log(`Multi-Platform Chat Monitor: Getting viewer count for ${this.currentPlatform}`);
 
-    for (const selector of viewerSelectors) {
-      const elements = document.querySelectorAll(selector);
-      for (const element of elements) {
-        const text = element.textContent || element.innerText || '';
-        console.log('Multi-Platform Chat Monitor: Kick checking element text:', text);
-
-        const patterns = [
-          /(\d+(?:,\d+)*)\s*viewers?/i,
-          /(\d+(?:,\d+)*)\s*watching/i,
-          /viewers?\s*(\d+(?:,\d+)*)/i,
-          /watching\s*(\d+(?:,\d+)*)/i
-        ];
-
-        for (const pattern of patterns) {
-          const match = text.match(pattern);
-          if (match && match[1]) {
-            const count = parseInt(match[1].replace(/,/g, ''));
-            if (count > 0 && count < 10000000) {
-              console.log('Multi-Platform Chat Monitor: Parsed Kick viewer count:', count, 'from text:', text);
-              return count;
-            }
-          }
-        }
-      }
+    if (!this.adapter) {
+      console.log('Multi-Platform Chat Monitor: Unknown platform for viewer count');
+      return 0;
     }
-
-    console.log('Multi-Platform Chat Monitor: No Kick viewer count found');
-    return 0;
+    return this.adapter.getViewerCount(document);
   }
 
   setupHistoryButton() {
@@ -2207,6 +1426,19 @@ class TwitchChatMonitor {
         await this.downloadHistoryCSV();
       });
     }
+
+    const historyViewButton = this.overlay.querySelector('#history-view-button');
+    if (historyViewButton) {
+      historyViewButton.addEventListener('click', async (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        if (this.historyTableVisible) {
+          this.hideHistoryTable();
+        } else {
+          await this.showHistoryTable();
+        }
+      });
+    }
   }
 
   async downloadHistoryCSV() {
@@ -2223,8 +1455,7 @@ class TwitchChatMonitor {
       }
 
       // Load history data
-      const result = await chrome.storage.local.get('chatHistory');
-      const history = result.chatHistory || [];
+      const history = await this.fetchHistory();
 
       // Sort by timestamp (newest first)
       history.sort((a, b) => b.timestamp - a.timestamp);
@@ -2314,7 +1545,8 @@ class TwitchChatMonitor {
     let csv = '';
 
     // Add column headers (first row)
-    csv += 'Streamer,Avg MPM,Avg MPS,Unique Chatters,Platform,Duration,Avg Viewers,Date\n';
+    const baseCurrency = CurrencyConverter.getBaseCurrency(this.settings);
+    csv += `Streamer,Avg MPM,Avg MPS,Unique Chatters,Platform,Duration,Avg Viewers,Date,Bot Messages,Bot Accounts,Chatters per 100 Viewers,Messages per Viewer per Hour,Lurker %,Category,Title,Bits,Subs,Gifted Subs,Raids,Raiders,Super Chats,Super Chat Total (${baseCurrency}),Memberships,Deleted Messages,Timeouts,Bans,Chat Mood\n`;
 
     // Add data rows - clean CSV format
     history.forEach(session => {
@@ -2326,6 +1558,23 @@ class TwitchChatMonitor {
       const duration = this.formatElapsedTime(session.sessionDuration);
       const viewers = session.avgViewers > 0 ? session.avgViewers : '';
       const date = session.formattedDate || new Date(session.timestamp).toLocaleString();
+      const botMessages = session.botMessages || 0;
+      const botAccounts = session.botChatters || 0;
+      const engagement = EngagementMetrics.fromSession(session);
+      const engagementColumns = engagement
+        ? [engagement.chattersPer100Viewers, engagement.messagesPerViewerHour, engagement.lurkerPercent]
+        : ['', '', ''];
+      const category = (session.streamCategory || '').replace(/"/g, '""');
+      const title = (session.streamTitle || '').replace(/"/g, '""');
+      const eventTotals = session.eventTotals || ChatEventTracker.emptyTotals();
+      const paid = CurrencyConverter.convertTotals(eventTotals.currencies, CurrencyConverter.getRates(this.settings), baseCurrency);
+      const eventColumns = [
+        eventTotals.bits, eventTotals.subs + eventTotals.resubs, eventTotals.giftedSubs, eventTotals.raids, eventTotals.raiders,
+        (eventTotals.superChats || 0) + (eventTotals.superStickers || 0), paid.total, (eventTotals.memberships || 0) + (eventTotals.giftedMemberships || 0)
+      ];
+      const moderation = session.moderation;
+      const moderationColumns = moderation ? [moderation.deleted, moderation.timeouts, moderation.bans] : ['', '', ''];
+      const mood = session.sentiment ? session.sentiment.mood : '';
 
       // Escape commas and quotes in data
       const escapedStreamer = streamer.replace(/"/g, '""').replace(/,/g, ';');
@@ -2333,21 +1582,12 @@ class TwitchChatMonitor {
       const escapedDuration = duration.replace(/:/g, ':');
       const escapedDate = date.replace(/"/g, '""');
 
-      csv += `"${escapedStreamer}",${mpm},${mps},${unique},"${escapedPlatform}","${escapedDuration}",${viewers},"${escapedDate}"\n`;
+      csv += `"${escapedStreamer}",${mpm},${mps},${unique},"${escapedPlatform}","${escapedDuration}",${viewers},"${escapedDate}",${botMessages},${botAccounts},${engagementColumns.join(',')},"${category}","${title}",${eventColumns.join(',')},${moderationColumns.join(',')},${mood}\n`;
     });
 
     return csv;
   }
 
-  formatPlatformName(platform) {
-    switch (platform) {
-      case 'twitch': return 'Twitch';
-      case 'youtube': return 'YouTube';
-      case 'kick': return 'Kick';
-      default: return platform.charAt(0).toUpperCase() + platform.slice(1);
-    }
-  }
-
   sanitizeText(text) {
     // Remove HTML tags and escape special characters
     if (typeof text !== 'string') return '';
@@ -2383,7 +1623,7 @@ class TwitchChatMonitor {
     console.log('Twitch Chat Monitor: Closing extension');
 
     // Save session data before closing
-    this.saveSessionData();
+    this.sessionLifecycle.finalize('close');
 
     // Hide overlay
     if (this.overlay) {
@@ -2422,6 +1662,9 @@ class TwitchChatMonitor {
     // Wait a bit for the table to be fully created in DOM
     await new Promise(resolve => setTimeout(resolve, 10));
 
+    // Always open on the session list rather than a previously opened detail view
+    this.hideSessionDetail();
+
     // Load and display history data
     await this.loadAndDisplayHistory();
 
@@ -2461,16 +1704,18 @@ class TwitchChatMonitor {
               <th>Platform</th>
               <th>Duration</th>
               <th>Avg Viewers</th>
+              <th title="Chatters per 100 viewers">Chat/100</th>
               <th>Date</th>
             </tr>
           </thead>
           <tbody id="history-table-body">
             <tr>
-              <td colspan="8" class="no-data">No chat history available</td>
+              <td colspan="9" class="no-data">No chat history available</td>
             </tr>
           </tbody>
         </table>
       </div>
+      <div class="history-session-detail" id="history-session-detail" style="display: none;"></div>
     `;
 
     document.body.appendChild(this.historyTable);
@@ -2525,77 +1770,17 @@ class TwitchChatMonitor {
     this.historyTable.setAttribute('data-theme', this.settings.theme);
   }
 
-  async saveSessionData() {
-    if (!this.currentChannel || !this.monitoringStartTime) return;
-
-    try {
-      // Calculate final session statistics
-      const sessionDuration = Date.now() - this.monitoringStartTime;
-      const avgMessagesPerMinute = this.sessionData.messagesPerMinute.length > 0
-        ? Math.round(this.sessionData.messagesPerMinute.reduce((a, b) => a + b, 0) / this.sessionData.messagesPerMinute.length)
-        : 0;
-      const avgMessagesPerSecond = this.sessionData.messagesPerSecond.length > 0
-        ? Math.round((this.sessionData.messagesPerSecond.reduce((a, b) => a + b, 0) / this.sessionData.messagesPerSecond.length) * 100) / 100
-        : 0;
-      const avgViewers = this.sessionData.viewerCounts.length > 0
-        ? Math.round(this.sessionData.viewerCounts.reduce((a, b) => a + b, 0) / this.sessionData.viewerCounts.length)
-        : 0;
-
-      // Create session entry
-      const sessionEntry = {
-        channelName: this.currentChannel,
-        channelAvatar: this.getChannelThumbnail(this.currentChannel),
-        avgMessagesPerMinute,
-        avgMessagesPerSecond,
-        sessionDuration,
-        avgViewers,
-        totalMessages: this.sessionData.totalMessages,
-        uniqueChatters: this.sessionData.uniqueChatters,
-        platform: this.currentPlatform,
-        timestamp: Date.now(),
-        formattedDate: new Date().toLocaleString()
-      };
-
-      // Check if we still have a valid extension context
-      if (!chrome.storage || !chrome.storage.local) {
-        console.warn('Multi-Platform Chat Monitor: Extension context invalidated, skipping session save');
-        return;
-      }
-
-      // Save to storage with timeout
-      const savePromise = chrome.storage.local.get('chatHistory').then(result => {
-        const history = result.chatHistory || [];
-        history.push(sessionEntry);
-
-        // Keep only last 100 entries
-        if (history.length > 100) {
-          history.splice(0, history.length - 100);
-        }
-
-        return chrome.storage.local.set({ 'chatHistory': history });
-      });
-
-      // Add a timeout to the save operation
-      const timeoutPromise = new Promise((_, reject) => {
-        setTimeout(() => reject(new Error('Save timeout')), 5000);
-      });
-
-      await Promise.race([savePromise, timeoutPromise]);
-      console.log('Multi-Platform Chat Monitor: Session data saved', sessionEntry);
-
-    } catch (error) {
-      if (error.message === 'Save timeout') {
-        console.warn('Multi-Platform Chat Monitor: Session save timed out, extension context may be invalid');
-      } else {
-        console.error('Multi-Platform Chat Monitor: Failed to save session data:', error);
-      }
+  async fetchHistory(query = {}) {
+    const response = await chrome.runtime.sendMessage({ type: 'GET_HISTORY', query });
+    if (!response || !response.success) {
+      throw new Error((response && response.error) || 'History load failed');
     }
+    return response.history || [];
   }
 
   async loadAndDisplayHistory() {
     try {
-      const result = await chrome.storage.local.get('chatHistory');
-      const history = result.chatHistory || [];
+      const history = await this.fetchHistory();
 
       // Sort by timestamp (newest first)
       history.sort((a, b) => b.timestamp - a.timestamp);
@@ -2626,7 +1811,7 @@ class TwitchChatMonitor {
       // Create no-data row safely
       const noDataRow = document.createElement('tr');
       const noDataCell = document.createElement('td');
-      noDataCell.colSpan = 8;
+      noDataCell.colSpan = 9;
       noDataCell.className = 'no-data';
       noDataCell.textContent = 'No chat history available';
       noDataRow.appendChild(noDataCell);
@@ -2637,6 +1822,9 @@ class TwitchChatMonitor {
     // Create table rows safely using DOM methods
     history.forEach(session => {
       const row = document.createElement('tr');
+      row.className = 'history-row';
+      row.title = 'Show session details';
+      row.addEventListener('click', () => this.showSessionDetail(session));
 
       // Streamer cell
       const streamerCell = document.createElement('td');
@@ -2688,6 +1876,13 @@ class TwitchChatMonitor {
       viewersCell.textContent = session.avgViewers > 0 ? session.avgViewers.toLocaleString() : 'N/A';
       row.appendChild(viewersCell);
 
+      // Engagement cell
+      const engagement = EngagementMetrics.fromSession(session);
+      const engagementCell = document.createElement('td');
+      engagementCell.textContent = engagement ? engagement.chattersPer100Viewers : 'N/A';
+      engagementCell.title = EngagementMetrics.describe(engagement);
+      row.appendChild(engagementCell);
+
       // Date cell
       const dateCell = document.createElement('td');
       dateCell.textContent = session.formattedDate;
@@ -2697,6 +1892,532 @@ class TwitchChatMonitor {
     });
   }
 
+  showSessionDetail(session) {
+    if (!this.historyTable) return;
+
+    const tableContent = this.historyTable.querySelector('.history-table-content');
+    const detail = this.historyTable.querySelector('#history-session-detail');
+    if (!tableContent || !detail) return;
+
+    // Clear previous detail content safely
+    detail.innerHTML = '';
+
+    // Header with back button and session identity
+    const detailHeader = document.createElement('div');
+    detailHeader.className = 'session-detail-header';
+
+    const backButton = document.createElement('button');
+    backButton.className = 'session-detail-back';
+    backButton.textContent = '‹ Back';
+    backButton.addEventListener('click', (e) => {
+      e.preventDefault();
+      this.hideSessionDetail();
+    });
+    detailHeader.appendChild(backButton);
+
+    const detailTitle = document.createElement('span');
+    detailTitle.className = 'session-detail-title';
+    detailTitle.textContent = `${session.channelName || 'Unknown'} · ${this.formatPlatformName(session.platform || 'unknown')} · ${session.formattedDate || new Date(session.timestamp).toLocaleString()}`;
+    detailHeader.appendChild(detailTitle);
+
+    detail.appendChild(detailHeader);
+
+    // Totals grid, including values that are stored but not shown in the table
+    const totals = document.createElement('div');
+    totals.className = 'session-detail-totals';
+
+    const sessionEngagement = EngagementMetrics.fromSession(session);
+    const peakOffset = (peakAt) => (peakAt && session.startTime) ? ` @ ${this.formatElapsedTime(peakAt - session.startTime)}` : '';
+    const totalItems = [
+      ['Total Messages', (session.totalMessages || 0).toLocaleString()],
+      ['Unique Chatters', (session.uniqueChatters || 0).toLocaleString()],
+      ['New Chatters', session.newChatters !== undefined ? session.newChatters.toLocaleString() : 'N/A'],
+      ['Returning Chatters', session.returningChatters !== undefined
+        ? `${session.returningChatters.toLocaleString()}${session.uniqueChatters ? ` (${Math.round(session.returningChatters / session.uniqueChatters * 100)}%)` : ''}`
+        : 'N/A'],
+      ['Retention', session.retention
+        ? `${Math.round(session.retention.rate * 100)}% of ${session.retention.previousChatters.toLocaleString()}`
+        : 'N/A'],
+      ['Chatters / 100 Viewers', sessionEngagement ? sessionEngagement.chattersPer100Viewers : 'N/A'],
+      ['Msgs / Viewer / Hour', sessionEngagement ? sessionEngagement.messagesPerViewerHour : 'N/A'],
+      ['Lurkers (est.)', sessionEngagement ? `${sessionEngagement.lurkerPercent}%` : 'N/A'],
+      ['Chat Mood', session.sentiment
+        ? `${SentimentScorer.describeMood(session.sentiment.mood)} (${session.sentiment.mood > 0 ? '+' : ''}${session.sentiment.mood})`
+        : 'N/A'],
+      ['Moderation', session.moderation
+        ? `${session.moderation.deleted.toLocaleString()} deleted · ${session.moderation.timeouts.toLocaleString()} timeouts · ${session.moderation.bans.toLocaleString()} bans`
+        : 'N/A'],
+      ['Bot Messages', session.botMessages ? `${session.botMessages.toLocaleString()} from ${session.botChatters} ${session.botChatters === 1 ? 'bot' : 'bots'}` : '0'],
+      ['Duration', this.formatElapsedTime(session.sessionDuration || 0)],
+      ['Avg MPM', this.formatMessageRate(session.avgMessagesPerMinute || 0, 'mpm')],
+      ['Peak MPM', session.peakMessagesPerMinute ? `${session.peakMessagesPerMinute}${peakOffset(session.peakMessagesPerMinuteAt)}` : 'N/A'],
+      ['Avg MPS', this.formatMessageRate(session.avgMessagesPerSecond || 0, 'mps')],
+      ['Peak MPS', session.peakMessagesPerSecond ? `${session.peakMessagesPerSecond}${peakOffset(session.peakMessagesPerSecondAt)}` : 'N/A'],
+      ['Avg Viewers', session.avgViewers > 0 ? session.avgViewers.toLocaleString() : 'N/A'],
+      ['Peak Viewers', session.peakViewers ? `${session.peakViewers.toLocaleString()}${peakOffset(session.peakViewersAt)}` : 'N/A'],
+      ['Started', session.startTime ? new Date(session.startTime).toLocaleString() : 'N/A']
+    ];
+
+    totalItems.forEach(([label, value]) => {
+      const item = document.createElement('div');
+      item.className = 'session-detail-total';
+      const valueSpan = document.createElement('span');
+      valueSpan.className = 'session-detail-total-value';
+      valueSpan.textContent = value;
+      const labelSpan = document.createElement('span');
+      labelSpan.className = 'session-detail-total-label';
+      labelSpan.textContent = label;
+      item.appendChild(valueSpan);
+      item.appendChild(labelSpan);
+      totals.appendChild(item);
+    });
+
+    detail.appendChild(totals);
+
+    // Charts drawn locally with SVG
+    if (session.timeSeries && Array.isArray(session.timeSeries.samples) && session.timeSeries.samples.length > 1) {
+      const chartColor = this.getPlatformColor(session.platform);
+      const hypeOffsets = (session.hypeMarkers || []).map(marker => marker.offset);
+      const streamEvents = (session.streamEvents || []).map(event => ({
+        t: event.offset,
+        label: `${event.type === 'category' ? 'Category' : 'Title'} changed at ${this.formatElapsedTime(event.offset * 1000)}: ${event.to}`,
+        className: 'session-chart-marker session-chart-event'
+      }));
+      // Larger events only; single subs and cheers would crowd the chart
+      const chatEvents = (session.chatEvents || [])
+        .filter(event => ['raid', 'host', 'giftBomb', 'hypeTrain', 'membershipGift'].includes(event.type))
+        .map(event => ({
+          t: event.offset,
+          label: `${ChatEventTracker.describe(event)} at ${this.formatElapsedTime(event.offset * 1000)}`,
+          className: 'session-chart-marker session-chart-support'
+        }));
+      // Chat modes that limit who can chat, shaded so their lower rate is not read as an audience drop
+      const chatModes = this.getSessionModeIntervals(session).map(interval => ({
+        t: interval.start,
+        end: interval.end,
+        label: `${ModerationParser.MODE_LABELS[interval.mode] || interval.mode} ${this.formatElapsedTime(interval.start * 1000)} → ${this.formatElapsedTime(interval.end * 1000)}`,
+        className: 'session-chart-band'
+      }));
+      detail.appendChild(this.createTimeSeriesChart('Chat Rate (msg/min)', this.getSessionSeries(session, 'mpm'), chartColor, hypeOffsets.concat(streamEvents, chatEvents, chatModes)));
+      detail.appendChild(this.createTimeSeriesChart('Unique Chatters', this.getSessionSeries(session, 'chatters'), chartColor));
+      detail.appendChild(this.createTimeSeriesChart('Viewers', this.getSessionSeries(session, 'viewers'), chartColor));
+    } else {
+      const noTimeline = document.createElement('div');
+      noTimeline.className = 'no-data';
+      noTimeline.textContent = 'No timeline recorded for this session';
+      detail.appendChild(noTimeline);
+    }
+
+    const streamInfo = [
+      ['Title', session.streamTitle],
+      ['Category', session.streamCategory],
+      ['Uptime', session.streamUptimeAtStart !== null && session.streamUptimeAtStart !== undefined
+        ? `${this.formatElapsedTime(session.streamUptimeAtStart * 1000)} → ${this.formatElapsedTime((session.streamUptimeAtEnd || 0) * 1000)}`
+        : null]
+    ].filter(([, value]) => value);
+    if (streamInfo.length > 0) {
+      detail.appendChild(this.createSessionDetailList('Stream', streamInfo));
+    }
+
+    if (Array.isArray(session.streamEvents) && session.streamEvents.length > 0) {
+      detail.appendChild(this.createSessionDetailList('Stream Changes',
+        session.streamEvents.map(event => [
+          event.uptime !== null && event.uptime !== undefined
+            ? `${this.formatElapsedTime(event.uptime * 1000)} uptime`
+            : `${this.formatElapsedTime(event.offset * 1000)} in`,
+          `${event.type === 'category' ? 'Category' : 'Title'}: ${event.to}`
+        ])));
+    }
+
+    if (Array.isArray(session.categorySegments) && session.categorySegments.length > 1) {
+      detail.appendChild(this.createSessionDetailList('Chat by Category',
+        session.categorySegments.map(segment => {
+          const seconds = Math.max(segment.end - segment.start, 0);
+          const rate = seconds > 0 ? Math.round(segment.messages / (seconds / 60)) : 0;
+          return [segment.category, `${rate.toLocaleString()} msg/min · ${this.formatElapsedTime(seconds * 1000)}`];
+        })));
+    }
+
+    if (Array.isArray(session.chatEvents) && session.chatEvents.length > 0) {
+      const rates = CurrencyConverter.getRates(this.settings);
+      const baseCurrency = CurrencyConverter.getBaseCurrency(this.settings);
+      const totals = session.eventTotals ? ChatEventTracker.describeTotals(session.eventTotals, rates, baseCurrency) : '';
+      detail.appendChild(this.createSessionDetailList(`Chat Events${totals ? ` (${totals})` : ''}`,
+        session.chatEvents.map(event => {
+          const change = ChatEventTracker.getRateChange(event);
+          const after = event.rateAfter.length > 0
+            ? Math.round(event.rateAfter.reduce((a, b) => a + b, 0) / event.rateAfter.length)
+            : null;
+          return [
+            `${this.formatElapsedTime((event.uptime !== null && event.uptime !== undefined ? event.uptime : event.offset) * 1000)} · ${ChatEventTracker.describe(event)}`,
+            after === null
+              ? `${event.rateBefore.toLocaleString()} msg/min before`
+              : `${event.rateBefore.toLocaleString()} → ${after.toLocaleString()} msg/min${change === null ? '' : ` (${change >= 0 ? '+' : ''}${change}%)`}`
+          ];
+        })));
+    }
+
+    const currencies = session.eventTotals && session.eventTotals.currencies;
+    if (currencies && Object.keys(currencies).length > 0) {
+      // Converted with the current rate table, so edited rates apply to past sessions too
+      const rates = CurrencyConverter.getRates(this.settings);
+      const baseCurrency = CurrencyConverter.getBaseCurrency(this.settings);
+      const { total, unconverted } = CurrencyConverter.convertTotals(currencies, rates, baseCurrency);
+      detail.appendChild(this.createSessionDetailList(
+        `Super Chats & Stickers (${CurrencyConverter.format(total, baseCurrency)}${unconverted.length > 0 ? ` + ${unconverted.join(', ')} not in rate table` : ''})`,
+        Object.entries(currencies)
+          .sort((a, b) => (CurrencyConverter.convert(b[1].amount, b[0], rates, baseCurrency) || 0) - (CurrencyConverter.convert(a[1].amount, a[0], rates, baseCurrency) || 0))
+          .map(([currency, entry]) => [currency, `${CurrencyConverter.format(entry.amount, currency)} from ${entry.count.toLocaleString()}`])));
+    }
+
+    if (Array.isArray(session.topSupporters) && session.topSupporters.length > 0) {
+      detail.appendChild(this.createSessionDetailList('Top Supporters',
+        session.topSupporters.map(supporter => [
+          supporter.name,
+          `${Object.entries(supporter.amounts).map(([currency, amount]) => CurrencyConverter.format(amount, currency)).join(' + ')} · ${supporter.count.toLocaleString()} paid`
+        ])));
+    }
+
+    const moderation = session.moderation;
+    const modeIntervals = this.getSessionModeIntervals(session);
+    if (modeIntervals.length > 0) {
+      detail.appendChild(this.createSessionDetailList('Chat Modes',
+        modeIntervals.map(interval => {
+          const seconds = interval.end - interval.start;
+          const before = this.getSessionRate(session, interval.start - 60, interval.start);
+          const during = this.getSessionRate(session, interval.start, interval.end);
+          return [
+            `${this.formatElapsedTime(interval.start * 1000)} · ${ModerationParser.MODE_LABELS[interval.mode] || interval.mode}${interval.duration ? ` (${interval.duration}s)` : ''}`,
+            `${this.formatElapsedTime(seconds * 1000)}${during === null ? '' : ` · ${before === null ? '' : `${before.toLocaleString()} → `}${during.toLocaleString()} msg/min`}`
+          ];
+        })));
+    }
+
+    if (moderation && moderation.timeline.length > 0) {
+      const points = moderation.timeline.map((count, index) => [index * moderation.interval, Math.round(count * 60 / moderation.interval)]);
+      detail.appendChild(this.createTimeSeriesChart('Moderation Actions per Minute', points, this.getPlatformColor(session.platform)));
+    }
+
+    const sentiment = session.sentiment;
+    if (sentiment && sentiment.timeline.length > 0) {
+      // Net mood per minute, -100 (all negative) to 100 (all positive)
+      const points = sentiment.timeline.map(([positive, negative, neutral], index) =>
+        [index * sentiment.interval, SentimentScorer.getMood(positive, negative, positive + negative + neutral)]);
+      detail.appendChild(this.createTimeSeriesChart('Chat Mood per Minute', points, this.getPlatformColor(session.platform)));
+    }
+
+    if (moderation && moderation.actions.some(action => action.type !== 'mode')) {
+      detail.appendChild(this.createSessionDetailList('Timeouts & Bans',
+        moderation.actions.filter(action => action.type !== 'mode').map(action => [
+          `${this.formatElapsedTime(action.offset * 1000)} in`,
+          ModerationParser.describe(action)
+        ])));
+    }
+
+    if (Array.isArray(session.hypeMarkers) && session.hypeMarkers.length > 0) {
+      detail.appendChild(this.createSessionDetailList('Hype Moments',
+        session.hypeMarkers.map(marker => [
+          marker.uptime !== null && marker.uptime !== undefined
+            ? `${this.formatElapsedTime(marker.uptime * 1000)} uptime`
+            : `${this.formatElapsedTime(marker.offset * 1000)} in`,
+          `${marker.peakRate.toLocaleString()} msg/min (baseline ${marker.baselineRate.toLocaleString()})`
+        ])));
+      detail.appendChild(this.createMarkerExportActions(session));
+    }
+
+    const chatterStats = session.chatterStats;
+    if (chatterStats && Array.isArray(chatterStats.topChatters) && chatterStats.topChatters.length > 0) {
+      detail.appendChild(this.createSessionDetailList(
+        `Top Chatters (Gini ${chatterStats.gini.toFixed(2)} · top 10% send ${Math.round(chatterStats.topShare * 100)}%)`,
+        chatterStats.topChatters.slice(0, 10).map(chatter => [
+          chatter.name,
+          `${chatter.messages.toLocaleString()} msgs · ${Math.round(chatter.avgLength)} chars avg`
+        ])));
+    }
+
+    if (Array.isArray(session.bots) && session.bots.length > 0) {
+      detail.appendChild(this.createSessionDetailList('Bots (excluded from rates)',
+        session.bots.map(bot => [
+          `${bot.name} · ${BotClassifier.describeReason(bot.reason)}`,
+          `${bot.messages.toLocaleString()} msgs`
+        ])));
+    }
+
+    if (Array.isArray(session.copypastaWaves) && session.copypastaWaves.length > 0) {
+      const share = session.totalMessages > 0 ? Math.round((session.copypastaMessages || 0) / session.totalMessages * 100) : 0;
+      detail.appendChild(this.createSessionDetailList(`Copypasta Waves (${share}% of messages)`,
+        session.copypastaWaves.map(wave => [
+          wave.text,
+          `${wave.users.toLocaleString()} users · ${wave.messages.toLocaleString()} msgs`
+        ])));
+    }
+
+    if (Array.isArray(session.topEmotes) && session.topEmotes.length > 0) {
+      detail.appendChild(this.createSessionDetailList('Top Emotes',
+        session.topEmotes.slice(0, 10).map(emote => [emote.name, emote.count.toLocaleString()])));
+    }
+
+    const keywordStats = session.keywordStats;
+    if (keywordStats && Array.isArray(keywordStats.keywords) && keywordStats.keywords.length > 0) {
+      const keywords = keywordStats.keywords.slice().sort((a, b) => b.count - a.count);
+      detail.appendChild(this.createSessionDetailList('Keywords',
+        keywords.map(entry => [entry.keyword, entry.count.toLocaleString()])));
+
+      // Per-minute timelines for the most mentioned keywords
+      keywords.filter(entry => entry.count > 0).slice(0, 3).forEach(entry => {
+        const points = entry.timeline.map((count, index) => [index * keywordStats.interval, count]);
+        detail.appendChild(this.createTimeSeriesChart(`"${entry.keyword}" per minute`, points, this.getPlatformColor(session.platform)));
+      });
+    }
+
+    tableContent.style.display = 'none';
+    detail.style.display = 'block';
+  }
+
+  createMarkerExportActions(session) {
+    // Download buttons for the session's hype markers (chapters, EDL, CSV)
+    const actions = document.createElement('div');
+    actions.className = 'session-export-actions';
+
+    [
+      ['chapters', 'Chapters', 'YouTube chapter list (.txt)'],
+      ['edl', 'EDL', 'Marker list for video editors (.edl)'],
+      ['csv', 'CSV', 'Marker spreadsheet (.csv)']
+    ].forEach(([format, label, title]) => {
+      const button = document.createElement('button');
+      button.className = 'session-export-button';
+      const unavailable = MarkerExporter.getUnavailableReason(session, format);
+      button.textContent = label;
+      button.title = unavailable || title;
+      button.disabled = unavailable !== null;
+      button.addEventListener('click', (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        MarkerExporter.download(session, format);
+      });
+      actions.appendChild(button);
+    });
+
+    return actions;
+  }
+
+  createSessionDetailList(title, rows) {
+    // Ranked label/value list for the session detail panel
+    const list = document.createElement('div');
+    list.className = 'session-detail-list';
+
+    const listTitle = document.createElement('div');
+    listTitle.className = 'session-chart-title';
+    listTitle.textContent = title;
+    list.appendChild(listTitle);
+
+    rows.forEach(([label, value], index) => {
+      const row = document.createElement('div');
+      row.className = 'session-detail-list-row';
+
+      const labelSpan = document.createElement('span');
+      labelSpan.className = 'session-detail-list-label';
+      labelSpan.textContent = `${index + 1}. ${label}`;
+      row.appendChild(labelSpan);
+
+      const valueSpan = document.createElement('span');
+      valueSpan.className = 'session-detail-list-value';
+      valueSpan.textContent = value;
+      row.appendChild(valueSpan);
+
+      list.appendChild(row);
+    });
+
+    return list;
+  }
+
+  hideSessionDetail() {
+    if (!this.historyTable) return;
+
+    const tableContent = this.historyTable.querySelector('.history-table-content');
+    const detail = this.historyTable.querySelector('#history-session-detail');
+
+    if (detail) {
+      detail.style.display = 'none';
+      detail.innerHTML = '';
+    }
+    if (tableContent) {
+      tableContent.style.display = 'block';
+    }
+  }
+
+  getSessionSeries(session, field) {
+    // Returns [secondsSinceStart, value] pairs for one field of the stored time-series
+    const timeSeries = session.timeSeries;
+    if (!timeSeries || !Array.isArray(timeSeries.fields) || !Array.isArray(timeSeries.samples)) return [];
+
+    const timeIndex = timeSeries.fields.indexOf('t');
+    const valueIndex = timeSeries.fields.indexOf(field);
+    if (timeIndex === -1 || valueIndex === -1) return [];
+
+    return timeSeries.samples
+      .filter(sample => sample[valueIndex] !== null && sample[valueIndex] !== undefined)
+      .map(sample => [sample[timeIndex], sample[valueIndex]]);
+  }
+
+  getSessionRate(session, from, to) {
+    // Average msg/min of the samples between two offsets, or null when none were taken
+    const values = this.getSessionSeries(session, 'mpm')
+      .filter(([t]) => t >= from && t < to)
+      .map(([, value]) => value);
+    return values.length > 0 ? Math.round(values.reduce((a, b) => a + b, 0) / values.length) : null;
+  }
+
+  getSessionModeIntervals(session) {
+    // Chat mode intervals with modes still on at the end of the session closed there
+    const intervals = session.moderation && session.moderation.modeIntervals;
+    if (!Array.isArray(intervals)) return [];
+
+    const sessionEnd = Math.round((session.sessionDuration || 0) / 1000);
+    return intervals.map(interval => ({ ...interval, end: interval.end === null ? Math.max(sessionEnd, interval.start) : interval.end }));
+  }
+
+  getPlatformColor(platform) {
+    return Platforms.getColor(platform);
+  }
+
+  createTimeSeriesChart(title, points, color, markers = []) {
+    const svgNS = 'http://www.w3.org/2000/svg';
+    const width = 560;
+    const height = 80;
+    const padding = { top: 10, right: 8, bottom: 14, left: 32 };
+
+    const chart = document.createElement('div');
+    chart.className = 'session-chart';
+
+    const chartTitle = document.createElement('div');
+    chartTitle.className = 'session-chart-title';
+    chartTitle.textContent = title;
+    chart.appendChild(chartTitle);
+
+    if (points.length < 2) {
+      const empty = document.createElement('div');
+      empty.className = 'no-data';
+      empty.textContent = 'Not enough data';
+      chart.appendChild(empty);
+      return chart;
+    }
+
+    const minT = points[0][0];
+    const maxT = points[points.length - 1][0];
+    const maxValue = Math.max(...points.map(point => point[1]), 1);
+    const minValue = Math.min(...points.map(point => point[1]), 0); // Below 0 only for signed series such as chat mood
+    const plotWidth = width - padding.left - padding.right;
+    const plotHeight = height - padding.top - padding.bottom;
+
+    const x = (t) => padding.left + ((t - minT) / Math.max(maxT - minT, 1)) * plotWidth;
+    const y = (value) => padding.top + plotHeight - ((value - minValue) / (maxValue - minValue)) * plotHeight;
+
+    const svg = document.createElementNS(svgNS, 'svg');
+    svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
+    svg.setAttribute('preserveAspectRatio', 'none');
+    svg.setAttribute('class', 'session-chart-svg');
+
+    // Baseline and value labels
+    const axis = document.createElementNS(svgNS, 'line');
+    axis.setAttribute('x1', padding.left);
+    axis.setAttribute('x2', width - padding.right);
+    axis.setAttribute('y1', y(0));
+    axis.setAttribute('y2', y(0));
+    axis.setAttribute('class', 'session-chart-axis');
+    svg.appendChild(axis);
+
+    const addLabel = (text, lx, ly, anchor) => {
+      const label = document.createElementNS(svgNS, 'text');
+      label.setAttribute('x', lx);
+      label.setAttribute('y', ly);
+      label.setAttribute('text-anchor', anchor);
+      label.setAttribute('class', 'session-chart-label');
+      label.textContent = text;
+      svg.appendChild(label);
+    };
+
+    addLabel(maxValue.toLocaleString(), padding.left - 4, padding.top + 4, 'end');
+    addLabel('0', padding.left - 4, y(0), 'end');
+    if (minValue < 0) {
+      addLabel(minValue.toLocaleString(), padding.left - 4, padding.top + plotHeight, 'end');
+    }
+    addLabel(this.formatElapsedTime(minT * 1000), padding.left, height - 2, 'start');
+    addLabel(this.formatElapsedTime(maxT * 1000), width - padding.right, height - 2, 'end');
+
+    // Vertical markers (seconds since start): detected chat spikes, or
+    // { t, label, className } for other timeline events; an end makes it a band (e.g. a chat mode)
+    const timelineMarkers = markers.map(marker => (typeof marker === 'number'
+      ? { t: marker, label: `Spike at ${this.formatElapsedTime(marker * 1000)}`, className: 'session-chart-marker' }
+      : marker));
+
+    // Bands go under the line
+    timelineMarkers.filter(marker => marker.end !== undefined && marker.t <= maxT && marker.end >= minT).forEach(({ t, end, label, className }) => {
+      const band = document.createElementNS(svgNS, 'rect');
+      const start = x(Math.max(t, minT));
+      band.setAttribute('x', start.toFixed(1));
+      band.setAttribute('y', padding.top);
+      band.setAttribute('width', Math.max(x(Math.min(end, maxT)) - start, 1).toFixed(1));
+      band.setAttribute('height', plotHeight);
+      band.setAttribute('class', className);
+
+      const bandTitle = document.createElementNS(svgNS, 'title');
+      bandTitle.textContent = label;
+      band.appendChild(bandTitle);
+      svg.appendChild(band);
+    });
+
+    // Area and line
+    const linePoints = points.map(([t, value]) => `${x(t).toFixed(1)},${y(value).toFixed(1)}`);
+
+    const area = document.createElementNS(svgNS, 'polygon');
+    area.setAttribute('points', `${x(minT).toFixed(1)},${y(0)} ${linePoints.join(' ')} ${x(maxT).toFixed(1)},${y(0)}`);
+    area.setAttribute('fill', color);
+    area.setAttribute('fill-opacity', '0.15');
+    svg.appendChild(area);
+
+    const line = document.createElementNS(svgNS, 'polyline');
+    line.setAttribute('points', linePoints.join(' '));
+    line.setAttribute('fill', 'none');
+    line.setAttribute('stroke', color);
+    line.setAttribute('stroke-width', '1.5');
+    svg.appendChild(line);
+
+    timelineMarkers.filter(({ t, end }) => end === undefined && t >= minT && t <= maxT).forEach(({ t, label, className }) => {
+      const markerLine = document.createElementNS(svgNS, 'line');
+      markerLine.setAttribute('x1', x(t).toFixed(1));
+      markerLine.setAttribute('x2', x(t).toFixed(1));
+      markerLine.setAttribute('y1', padding.top);
+      markerLine.setAttribute('y2', padding.top + plotHeight);
+      markerLine.setAttribute('class', className);
+
+      const markerTitle = document.createElementNS(svgNS, 'title');
+      markerTitle.textContent = label;
+      markerLine.appendChild(markerTitle);
+      svg.appendChild(markerLine);
+    });
+
+    // Mark the peak
+    const peak = points.reduce((best, point) => (point[1] > best[1] ? point : best), points[0]);
+    const peakMarker = document.createElementNS(svgNS, 'circle');
+    peakMarker.setAttribute('cx', x(peak[0]).toFixed(1));
+    peakMarker.setAttribute('cy', y(peak[1]).toFixed(1));
+    peakMarker.setAttribute('r', '3');
+    peakMarker.setAttribute('fill', color);
+    peakMarker.setAttribute('class', 'session-chart-peak');
+
+    const peakTitle = document.createElementNS(svgNS, 'title');
+    peakTitle.textContent = `Peak ${peak[1].toLocaleString()} at ${this.formatElapsedTime(peak[0] * 1000)}`;
+    peakMarker.appendChild(peakTitle);
+    svg.appendChild(peakMarker);
+
+    const peakX = x(peak[0]);
+    addLabel(`peak ${peak[1].toLocaleString()}`, peakX, Math.max(y(peak[1]) - 5, 8), peakX > width - 60 ? 'end' : 'middle');
+
+    chart.appendChild(svg);
+    return chart;
+  }
+
   formatMessageRate(rate, type = 'mpm') {
     // Format message rate: MPM shows decimals if < 1, MPS shows whole numbers only
     if (type === 'mps') {
@@ -2708,12 +2429,7 @@ class TwitchChatMonitor {
   }
 
   formatPlatformName(platform) {
-    switch (platform) {
-      case 'twitch': return 'Twitch';
-      case 'youtube': return 'YouTube';
-      case 'kick': return 'Kick';
-      default: return 'Unknown';
-    }
+    return Platforms.getName(platform);
   }
 
   formatElapsedTime(milliseconds) {
@@ -2821,6 +2537,9 @@ class TwitchChatMonitor {
   }
 
   destroy() {
+    // Best-effort save; the last checkpoint is recovered on the next load if this does not complete
+    this.sessionLifecycle.finalize('unload');
+
     if (this.observer) {
       this.observer.disconnect();
     }
@@ -0,0 +1,127 @@
+// Stream Chat Analyser - Currency
+// Parses paid chat amounts ("$5.00", "€10,00", "CA$20.00", "¥1,000") and converts
+// per-currency totals with the user's local rate table. No exchange rate API is used.
+
+class CurrencyConverter {
+  // Value of one unit in a common reference currency (USD). Rough defaults the
+  // user is expected to correct in the popup; only the ratios matter.
+  static get DEFAULT_RATES() {
+    return {
+      USD: 1, EUR: 1.08, GBP: 1.27, JPY: 0.0067, KRW: 0.00074, INR: 0.012, BRL: 0.18,
+      CAD: 0.73, AUD: 0.66, NZD: 0.6, MXN: 0.055, PHP: 0.018, TWD: 0.031, HKD: 0.13,
+      SGD: 0.74, CHF: 1.12, SEK: 0.095, NOK: 0.093, DKK: 0.145, PLN: 0.25, RUB: 0.011,
+      TRY: 0.03, ILS: 0.27, ZAR: 0.054, ARS: 0.0011, CLP: 0.0011, COP: 0.00025, PEN: 0.27,
+      IDR: 0.000063, MYR: 0.22, THB: 0.028, VND: 0.00004, CZK: 0.043, HUF: 0.0028, RON: 0.22
+    };
+  }
+
+  // Symbols YouTube renders in place of ISO codes, longest first when matched
+  static get SYMBOLS() {
+    return [
+      ['CA$', 'CAD'], ['A$', 'AUD'], ['NZ$', 'NZD'], ['MX$', 'MXN'], ['R$', 'BRL'], ['NT$', 'TWD'],
+      ['HK$', 'HKD'], ['S$', 'SGD'], ['US$', 'USD'], ['$', 'USD'], ['€', 'EUR'], ['£', 'GBP'],
+      ['¥', 'JPY'], ['₩', 'KRW'], ['₹', 'INR'], ['₱', 'PHP'], ['₫', 'VND'], ['₪', 'ILS'],
+      ['₺', 'TRY'], ['₽', 'RUB'], ['zł', 'PLN'], ['kr', 'SEK'], ['Kč', 'CZK'], ['Ft', 'HUF'],
+      ['Rp', 'IDR'], ['RM', 'MYR'], ['฿', 'THB'], ['R', 'ZAR']
+    ].sort((a, b) => b[0].length - a[0].length);
+  }
+
+  static parseAmount(text) {
+    // { currency, amount } or null; the currency is an ISO code when the symbol is known
+    const value = (text || '').replace(/\s+/g, ' ').trim();
+    const match = value.match(/\d[\d,.'\s]*/);
+    if (!match) return null;
+
+    const amount = CurrencyConverter.parseNumber(match[0].trim());
+    const label = value.replace(match[0], ' ').replace(/\s+/g, ' ').trim();
+    const currency = CurrencyConverter.getCurrency(label);
+    if (amount === null || !currency) return null;
+
+    return { currency, amount };
+  }
+
+  static parseNumber(digits) {
+    // A last separator followed by one or two digits is the decimal point ("10,00", "5.5"),
+    // otherwise separators group thousands ("1,000", "10.000")
+    const separators = digits.match(/[,.'\s]/g) || [];
+    if (separators.length === 0) return parseInt(digits, 10);
+
+    const lastIndex = Math.max(digits.lastIndexOf(','), digits.lastIndexOf('.'));
+    const fraction = lastIndex >= 0 ? digits.slice(lastIndex + 1) : '';
+    const isDecimal = lastIndex >= 0 && /^\d{1,2}$/.test(fraction);
+
+    const integerPart = (isDecimal ? digits.slice(0, lastIndex) : digits).replace(/[^\d]/g, '');
+    if (!integerPart) return null;
+
+    const number = parseInt(integerPart, 10);
+    return isDecimal ? Math.round((number + parseFloat(`0.${fraction}`)) * 100) / 100 : number;
+  }
+
+  static getCurrency(label) {
+    if (!label) return null;
+
+    const code = label.match(/\b([A-Z]{3})\b/);
+    if (code) return code[1];
+
+    for (const [symbol, currency] of CurrencyConverter.SYMBOLS) {
+      if (label.includes(symbol)) return currency;
+    }
+    return null;
+  }
+
+  static getRates(settings) {
+    const rates = settings && settings.currencyRates;
+    return rates && Object.keys(rates).length > 0 ? rates : CurrencyConverter.DEFAULT_RATES;
+  }
+
+  static getBaseCurrency(settings) {
+    return (settings && settings.baseCurrency) || 'USD';
+  }
+
+  static convert(amount, currency, rates, baseCurrency) {
+    // Amount in the base currency, or null when either currency is missing from the table
+    if (!rates[currency] || !rates[baseCurrency]) return null;
+    return amount * rates[currency] / rates[baseCurrency];
+  }
+
+  static convertTotals(currencies, rates, baseCurrency) {
+    // currencies: { CODE: { amount, count } } -> { total, unconverted: [CODE] }
+    let total = 0;
+    const unconverted = [];
+
+    Object.entries(currencies || {}).forEach(([currency, entry]) => {
+      const converted = CurrencyConverter.convert(entry.amount, currency, rates, baseCurrency);
+      if (converted === null) {
+        unconverted.push(currency);
+      } else {
+        total += converted;
+      }
+    });
+
+    return { total: Math.round(total * 100) / 100, unconverted };
+  }
+
+  static format(amount, currency) {
+    try {
+      return new Intl.NumberFormat(undefined, { style: 'currency', currency }).format(amount);
+    } catch (error) {
+      return `${amount.toLocaleString()} ${currency}`;
+    }
+  }
+
+  static parseRates(text) {
+    // "EUR = 1.08" lines from the popup -> { EUR: 1.08 }; invalid lines are skipped
+    const rates = {};
+    (text || '').split('\n').forEach(line => {
+      const match = line.trim().match(/^([A-Za-z]{3})\s*[=:]?\s*(\d+(?:\.\d+)?)$/);
+      if (match && parseFloat(match[2]) > 0) {
+        rates[match[1].toUpperCase()] = parseFloat(match[2]);
+      }
+    });
+    return rates;
+  }
+
+  static formatRates(rates) {
+    return Object.entries(rates).map(([currency, rate]) => `${currency} = ${rate}`).join('\n');
+  }
+}
@@ -0,0 +1,39 @@
+// Stream Chat Analyser - Engagement Metrics
+// Combines chatters, messages and viewers into rates that can be compared
+// between small and large streams
+
+class EngagementMetrics {
+  static compute({ uniqueChatters = 0, totalMessages = 0, avgViewers = 0, durationMs = 0 } = {}) {
+    // Returns null without a viewer count; viewers are averaged over the same period as the chat totals
+    if (!avgViewers || avgViewers <= 0) return null;
+
+    const chattersPer100Viewers = uniqueChatters / avgViewers * 100;
+    const hours = durationMs / 3600000;
+
+    return {
+      chattersPer100Viewers: Math.round(chattersPer100Viewers * 10) / 10,
+      messagesPerViewerHour: hours > 0 ? Math.round(totalMessages / avgViewers / hours * 100) / 100 : 0,
+      // Estimate: viewers who never chatted. Chatters who left early can push
+      // chatters above the average viewer count, so clamp to 0-100
+      lurkerPercent: Math.round(Math.min(100, Math.max(0, 100 - chattersPer100Viewers)) * 10) / 10
+    };
+  }
+
+  static fromSession(session) {
+    // Stored metrics, or computed from the totals for sessions saved before they existed
+    if (session.engagement) return session.engagement;
+    return EngagementMetrics.compute({
+      uniqueChatters: session.uniqueChatters,
+      totalMessages: session.totalMessages,
+      avgViewers: session.avgViewers,
+      durationMs: session.sessionDuration
+    });
+  }
+
+  static describe(engagement) {
+    if (!engagement) return 'No viewer count';
+    return `${engagement.chattersPer100Viewers} chatters / 100 viewers · ` +
+           `${engagement.messagesPerViewerHour} msgs / viewer / hour · ` +
+           `${engagement.lurkerPercent}% lurkers (est.)`;
+  }
+}
@@ -0,0 +1,195 @@
+// Stream Chat Analyser - History Store
+// IndexedDB-backed session history, owned by the background service worker
+
+class ChatHistoryStore {
+  constructor() {
+    this.dbName = 'streamChatAnalyser';
+    this.dbVersion = 3;
+    this.storeName = 'sessions';
+    this.registryStoreName = 'chatterRegistry'; // One record per channel, see chatter-registry.js
+    this.dbPromise = null;
+  }
+
+  open() {
+    if (this.dbPromise) return this.dbPromise;
+
+    this.dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(this.dbName, this.dbVersion);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        let store;
+        if (!db.objectStoreNames.contains(this.storeName)) {
+          store = db.createObjectStore(this.storeName, { keyPath: 'id', autoIncrement: true });
+          store.createIndex('channelName', 'channelName', { unique: false });
+          store.createIndex('platform', 'platform', { unique: false });
+          store.createIndex('timestamp', 'timestamp', { unique: false });
+        } else {
+          store = request.transaction.objectStore(this.storeName);
+        }
+        if (!store.indexNames.contains('sessionId')) {
+          // A session can reach the store twice (recovered from its checkpoint while its tab
+          // was frozen, then finalized by the tab); legacy entries without an id are not indexed
+          store.createIndex('sessionId', 'sessionId', { unique: true });
+        }
+        if (!db.objectStoreNames.contains(this.registryStoreName)) {
+          db.createObjectStore(this.registryStoreName, { keyPath: 'channelKey' });
+        }
+      };
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        this.dbPromise = null;
+        reject(request.error);
+      };
+    });
+
+    return this.dbPromise;
+  }
+
+  async addSession(session) {
+    const db = await this.open();
+    const tx = db.transaction(this.storeName, 'readwrite');
+    const request = tx.objectStore(this.storeName).add({ ...session });
+    const id = await this.requestToPromise(request);
+    await this.transactionDone(tx);
+    return id;
+  }
+
+  async getSessionKey(sessionId) {
+    // Primary key of the stored session with this sessionId, or null
+    const db = await this.open();
+    const tx = db.transaction(this.storeName, 'readonly');
+    const key = await this.requestToPromise(tx.objectStore(this.storeName).index('sessionId').getKey(sessionId));
+    return key === undefined ? null : key;
+  }
+
+  async getSessions(query = {}) {
+    const { from = null, to = null, platform = null, channelName = null } = query;
+    const db = await this.open();
+    const tx = db.transaction(this.storeName, 'readonly');
+    const store = tx.objectStore(this.storeName);
+
+    // Use the most selective index available, then filter the rest in memory
+    let request;
+    if (from !== null || to !== null) {
+      const range = from !== null && to !== null ? IDBKeyRange.bound(from, to)
+        : from !== null ? IDBKeyRange.lowerBound(from)
+          : IDBKeyRange.upperBound(to);
+      request = store.index('timestamp').getAll(range);
+    } else if (channelName) {
+      request = store.index('channelName').getAll(channelName);
+    } else if (platform) {
+      request = store.index('platform').getAll(platform);
+    } else {
+      request = store.index('timestamp').getAll();
+    }
+
+    const sessions = await this.requestToPromise(request);
+    return sessions.filter(session =>
+      (!platform || session.platform === platform) &&
+      (!channelName || session.channelName === channelName)
+    );
+  }
+
+  async getChannelRegistry(channelKey) {
+    const db = await this.open();
+    const tx = db.transaction(this.registryStoreName, 'readonly');
+    const record = await this.requestToPromise(tx.objectStore(this.registryStoreName).get(channelKey));
+    return record || null;
+  }
+
+  async putChannelRegistry(record) {
+    const db = await this.open();
+    const tx = db.transaction(this.registryStoreName, 'readwrite');
+    tx.objectStore(this.registryStoreName).put(record);
+    await this.transactionDone(tx);
+  }
+
+  async countSessions() {
+    const db = await this.open();
+    const tx = db.transaction(this.storeName, 'readonly');
+    return this.requestToPromise(tx.objectStore(this.storeName).count());
+  }
+
+  async applyRetention({ retentionDays = 0, maxEntries = 0 } = {}) {
+    // retentionDays / maxEntries of 0 mean "keep everything"
+    const db = await this.open();
+    const tx = db.transaction(this.storeName, 'readwrite');
+    const index = tx.objectStore(this.storeName).index('timestamp');
+    let removed = 0;
+
+    if (retentionDays > 0) {
+      const cutoff = Date.now() - retentionDays * 24 * 60 * 60 * 1000;
+      removed += await this.deleteByCursor(index.openCursor(IDBKeyRange.upperBound(cutoff, true)));
+    }
+
+    if (maxEntries > 0) {
+      const total = await this.requestToPromise(index.count());
+      const excess = total - maxEntries;
+      if (excess > 0) {
+        removed += await this.deleteByCursor(index.openCursor(), excess);
+      }
+    }
+
+    await this.transactionDone(tx);
+    return removed;
+  }
+
+  async migrateFromStorage() {
+    // One-time import of the legacy chrome.storage.local 'chatHistory' array
+    const result = await chrome.storage.local.get(['chatHistory', 'chatHistoryMigrated']);
+    if (result.chatHistoryMigrated) return 0;
+
+    const legacyHistory = Array.isArray(result.chatHistory) ? result.chatHistory : [];
+
+    if (legacyHistory.length > 0) {
+      const db = await this.open();
+      const tx = db.transaction(this.storeName, 'readwrite');
+      const store = tx.objectStore(this.storeName);
+      legacyHistory.forEach(session => {
+        const { id, ...entry } = session;
+        store.add(entry);
+      });
+      await this.transactionDone(tx);
+    }
+
+    await chrome.storage.local.set({ 'chatHistoryMigrated': true });
+    await chrome.storage.local.remove('chatHistory');
+
+    console.log(`Stream Chat Analyser: Migrated ${legacyHistory.length} sessions to IndexedDB`);
+    return legacyHistory.length;
+  }
+
+  deleteByCursor(cursorRequest, limit = Infinity) {
+    return new Promise((resolve, reject) => {
+      let deleted = 0;
+      cursorRequest.onsuccess = () => {
+        const cursor = cursorRequest.result;
+        if (cursor && deleted < limit) {
+          cursor.delete();
+          deleted++;
+          cursor.continue();
+        } else {
+          resolve(deleted);
+        }
+      };
+      cursorRequest.onerror = () => reject(cursorRequest.error);
+    });
+  }
+
+  requestToPromise(request) {
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  transactionDone(tx) {
+    return new Promise((resolve, reject) => {
+      tx.oncomplete = () => resolve();
+      tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+      tx.onerror = () => reject(tx.error);
+    });
+  }
+}
@@ -0,0 +1,160 @@
+// Stream Chat Analyser - Marker Export
+// Turns a session's hype markers into files for VOD work: a YouTube chapter
+// list, a CMX3600 EDL marker list and a CSV. Shared by the history panel and
+// the analytics dashboard.
+
+class MarkerExporter {
+  static get FORMATS() {
+    return {
+      chapters: { extension: 'txt', mimeType: 'text/plain' },
+      edl: { extension: 'edl', mimeType: 'text/plain' },
+      csv: { extension: 'csv', mimeType: 'text/csv' }
+    };
+  }
+
+  // YouTube ignores a chapter list with fewer entries than this, "Stream start" included
+  static get MIN_CHAPTERS() { return 3; }
+  static get MIN_CHAPTER_SPACING() { return 10; } // Seconds
+
+  static hasMarkers(session) {
+    return Array.isArray(session.hypeMarkers) && session.hypeMarkers.length > 0;
+  }
+
+  static getTimedMarkers(session) {
+    // Prefer stream uptime so times line up with the VOD. Markers recorded while
+    // uptime was unreadable are placed using the offset between uptime and
+    // monitoring time seen on any other marker; without any uptime, fall back
+    // to time since monitoring started.
+    const markers = (session.hypeMarkers || []).slice().sort((a, b) => a.offset - b.offset);
+    const reference = markers.find(marker => marker.uptime !== null && marker.uptime !== undefined);
+    const uptimeAtStart = reference ? reference.uptime - reference.offset : null;
+
+    return markers.map((marker, index) => ({
+      ...marker,
+      index: index + 1,
+      seconds: Math.max(0, uptimeAtStart !== null ? marker.offset + uptimeAtStart : marker.offset),
+      timeBase: uptimeAtStart !== null ? 'uptime' : 'session'
+    }));
+  }
+
+  static getTitle(marker) {
+    return `Hype moment ${marker.index} (${marker.peakRate} msg/min)`;
+  }
+
+  static getChapterMarkers(session) {
+    // YouTube requires chapters to start at 00:00 and be at least 10 seconds apart, so a
+    // marker too close to the previous chapter (or to the start) is left out
+    let lastSeconds = 0;
+    return MarkerExporter.getTimedMarkers(session).filter(marker => {
+      if (marker.seconds - lastSeconds < MarkerExporter.MIN_CHAPTER_SPACING) return false;
+      lastSeconds = marker.seconds;
+      return true;
+    });
+  }
+
+  static getUnavailableReason(session, format) {
+    // Why a format cannot be exported for this session, or null when it can
+    if (format !== 'chapters') return null;
+
+    const usable = MarkerExporter.getChapterMarkers(session).length;
+    if (usable + 1 >= MarkerExporter.MIN_CHAPTERS) return null;
+    return `YouTube needs at least ${MarkerExporter.MIN_CHAPTERS} chapters ${MarkerExporter.MIN_CHAPTER_SPACING}s apart; ` +
+      `only ${usable} marker${usable === 1 ? '' : 's'} can be used after "Stream start"`;
+  }
+
+  static toChapters(session) {
+    // Markers at 5s, 62s, 66s and 3725s of uptime become:
+    //   00:00:00 Stream start
+    //   00:01:02 Hype moment 2 (...)    <- 5s is within 10s of the start, 66s within 10s of 62s
+    //   01:02:05 Hype moment 4 (...)
+    // Callers should check getUnavailableReason() first: a single usable marker gives
+    // two lines, which YouTube ignores
+    const lines = ['00:00:00 Stream start'];
+    MarkerExporter.getChapterMarkers(session).forEach(marker => {
+      lines.push(`${MarkerExporter.formatClock(marker.seconds)} ${MarkerExporter.getTitle(marker)}`);
+    });
+
+    return lines.join('\n') + '\n';
+  }
+
+  static toEDL(session, fps = 30) {
+    // Marker EDL as read by DaVinci Resolve and Premiere: one-frame events with a |M: note
+    const lines = [
+      `TITLE: ${(session.channelName || 'Stream')} hype markers`,
+      'FCM: NON-DROP FRAME',
+      ''
+    ];
+
+    MarkerExporter.getTimedMarkers(session).forEach(marker => {
+      const recordIn = MarkerExporter.formatTimecode(marker.seconds, 0, fps);
+      const recordOut = MarkerExporter.formatTimecode(marker.seconds, 1, fps);
+      const eventNumber = marker.index.toString().padStart(3, '0');
+      lines.push(`${eventNumber}  001      V     C        ${recordIn} ${recordOut} ${recordIn} ${recordOut}  `);
+      lines.push(` |C:ResolveColorYellow |M:${MarkerExporter.getTitle(marker)} |D:1`);
+      lines.push('');
+    });
+
+    return lines.join('\n');
+  }
+
+  static toCSV(session) {
+    const headers = ['Marker', 'Timecode', 'Seconds', 'Time Base', 'Peak MPM', 'Baseline MPM', 'Duration (s)', 'Detected At'];
+    const rows = MarkerExporter.getTimedMarkers(session).map(marker => [
+      MarkerExporter.getTitle(marker),
+      MarkerExporter.formatClock(marker.seconds),
+      marker.seconds,
+      marker.timeBase === 'uptime' ? 'Stream uptime' : 'Session time',
+      marker.peakRate,
+      marker.baselineRate,
+      marker.duration !== null && marker.duration !== undefined ? marker.duration : '',
+      new Date(marker.time).toISOString()
+    ]);
+
+    return [headers, ...rows]
+      .map(row => row.map(value => `"${String(value).replace(/"/g, '""')}"`).join(','))
+      .join('\n') + '\n';
+  }
+
+  static export(session, format) {
+    switch (format) {
+      case 'chapters': return MarkerExporter.toChapters(session);
+      case 'edl': return MarkerExporter.toEDL(session);
+      case 'csv': return MarkerExporter.toCSV(session);
+      default: throw new Error(`Unknown marker export format: ${format}`);
+    }
+  }
+
+  static download(session, format) {
+    const { extension, mimeType } = MarkerExporter.FORMATS[format];
+    const content = MarkerExporter.export(session, format);
+
+    const channel = (session.channelName || 'stream').toLowerCase().replace(/[^a-z0-9_-]+/g, '-');
+    const date = new Date(session.startTime || session.timestamp).toISOString().slice(0, 10);
+    const suffix = format === 'chapters' ? '-chapters' : '-markers';
+
+    const blob = new Blob([content], { type: `${mimeType};charset=utf-8;` });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.setAttribute('href', url);
+    link.setAttribute('download', `${channel}-${date}${suffix}.${extension}`);
+    link.style.visibility = 'hidden';
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  static formatClock(seconds) {
+    const total = Math.max(0, Math.round(seconds));
+    const hours = Math.floor(total / 3600);
+    const minutes = Math.floor((total % 3600) / 60);
+    const secs = total % 60;
+    return `${hours.toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
+  }
+
+  static formatTimecode(seconds, extraFrames, fps) {
+    const frames = Math.round(seconds) * fps + extraFrames;
+    const frame = frames % fps;
+    return `${MarkerExporter.formatClock(Math.floor(frames / fps))}:${frame.toString().padStart(2, '0')}`;
+  }
+}
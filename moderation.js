@@ -0,0 +1,87 @@
+// Stream Chat Analyser - Moderation Notices
+// Parses the moderation lines Twitch, YouTube and Kick show in chat (deleted
+// messages, timeouts, bans, chat mode changes) into plain action objects for
+// the ModerationTracker. Matched on the platforms' English wording.
+
+class ModerationParser {
+  // Chat modes and the wording that names them; modes limit who can chat, so they change the rates
+  static get MODES() {
+    return [
+      ['slow', /slow[- ]?mode/i],
+      ['subscribers', /(?:subscribers?|subs?)[- ]only/i],
+      ['members', /members[- ]only/i],
+      ['followers', /followers?[- ]only/i],
+      ['emote', /emotes?[- ]only/i],
+      ['unique', /unique[- ]chat|r9k/i]
+    ];
+  }
+
+  static get MODE_LABELS() {
+    return {
+      slow: 'Slow mode',
+      subscribers: 'Sub-only',
+      members: 'Members-only',
+      followers: 'Followers-only',
+      emote: 'Emote-only',
+      unique: 'Unique chat'
+    };
+  }
+
+  static parse(text) {
+    // { type: 'delete' } | { type: 'timeout', user, duration } | { type: 'ban', user }
+    // | { type: 'mode', mode, enabled, duration } | null
+    const value = (text || '').replace(/\s+/g, ' ').trim();
+    if (!value || value.length > 200) return null;
+
+    if (/^[<[(]?\s*message (?:deleted|retracted|removed)\b|message (?:was )?deleted by (?:a )?moderator|^\(deleted\)$/i.test(value)) {
+      return { type: 'delete' };
+    }
+
+    let match = value.match(/^([^\s:]+) (?:has been|was|is) timed out(?: for (.+?))?[.!]?$/i);
+    if (match) {
+      return { type: 'timeout', user: match[1], duration: ModerationParser.parseDuration(match[2]) };
+    }
+
+    match = value.match(/^([^\s:]+) (?:has been|was|is) (?:permanently )?banned\b/i);
+    if (match) {
+      return { type: 'ban', user: match[1] };
+    }
+
+    const mode = ModerationParser.MODES.find(([, pattern]) => pattern.test(value));
+    if (mode) {
+      const enabled = /no longer|is (?:now )?off|turned off|disabled|deactivated|ended/i.test(value)
+        ? false
+        : /now in|is (?:now )?on|turned on|enabled|activated|started/i.test(value) ? true : null;
+      if (enabled === null) return null;
+
+      return { type: 'mode', mode: mode[0], enabled, duration: enabled ? ModerationParser.parseDuration(value.split(/every|interval/i)[1]) : null };
+    }
+
+    return null;
+  }
+
+  static parseDuration(text) {
+    // "10 minutes", "600 seconds", "1 hour" -> seconds; null when absent
+    const match = (text || '').match(/(\d+)\s*(s|sec|second|m|min|minute|h|hour|d|day)s?\b/i);
+    if (!match) return null;
+
+    const unit = match[2].toLowerCase();
+    const multiplier = unit.startsWith('d') ? 86400 : unit.startsWith('h') ? 3600 : unit.startsWith('m') ? 60 : 1;
+    return parseInt(match[1], 10) * multiplier;
+  }
+
+  static describe(action) {
+    switch (action.type) {
+      case 'delete':
+        return 'Message deleted';
+      case 'timeout':
+        return `${action.user} timed out${action.duration ? ` (${action.duration}s)` : ''}`;
+      case 'ban':
+        return `${action.user} banned`;
+      case 'mode':
+        return `${ModerationParser.MODE_LABELS[action.mode] || action.mode} ${action.enabled ? 'on' : 'off'}`;
+      default:
+        return action.type;
+    }
+  }
+}
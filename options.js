@@ -0,0 +1,722 @@
+// Stream Chat Analyser - Analytics Dashboard (Options Page)
+// Full-page view over the saved chat history with filters, trends and breakdowns
+
+class ChatAnalyticsDashboard {
+  constructor() {
+    this.history = [];
+    this.filtered = [];
+    this.filters = {
+      from: null,
+      to: null,
+      platform: 'all',
+      channel: ''
+    };
+    this.sort = { key: 'timestamp', direction: 'desc' };
+    this.trendChannel = null;
+    this.overlapCache = new Map(); // "channelKey|from|to" -> Promise of the ranked overlap list
+
+    this.init();
+  }
+
+  init() {
+    // Wait for DOM to load
+    if (document.readyState === 'loading') {
+      document.addEventListener('DOMContentLoaded', () => this.initializeDashboard());
+    } else {
+      this.initializeDashboard();
+    }
+  }
+
+  async initializeDashboard() {
+    await this.loadHistory();
+    this.setupEventListeners();
+    this.render();
+
+    // Keep the dashboard current while sessions are being saved in other tabs
+    chrome.runtime.onMessage.addListener((message) => {
+      if (message.type === 'HISTORY_UPDATED') {
+        this.loadHistory().then(() => this.render());
+      }
+    });
+
+    console.log('Stream Chat Analyser Dashboard: Initialized with', this.history.length, 'sessions');
+  }
+
+  async loadHistory() {
+    try {
+      // History lives in the background service worker's IndexedDB store
+      const response = await chrome.runtime.sendMessage({ type: 'GET_HISTORY' });
+      this.history = response && response.success ? response.history : [];
+      this.overlapCache.clear();
+    } catch (error) {
+      console.error('Stream Chat Analyser Dashboard: Failed to load history:', error);
+      this.history = [];
+    }
+  }
+
+  setupEventListeners() {
+    // Date range presets
+    document.querySelectorAll('.preset-button').forEach(button => {
+      button.addEventListener('click', () => {
+        document.querySelectorAll('.preset-button').forEach(b => b.classList.remove('active'));
+        button.classList.add('active');
+        this.applyDatePreset(button.getAttribute('data-range'));
+      });
+    });
+
+    const fromInput = document.getElementById('date-from');
+    const toInput = document.getElementById('date-to');
+    const platformSelect = document.getElementById('platform-filter');
+    const channelInput = document.getElementById('channel-filter');
+    const trendSelect = document.getElementById('trend-channel');
+
+    fromInput.addEventListener('change', () => {
+      this.filters.from = fromInput.value ? new Date(`${fromInput.value}T00:00:00`).getTime() : null;
+      this.clearActivePreset();
+      this.render();
+    });
+
+    toInput.addEventListener('change', () => {
+      this.filters.to = toInput.value ? new Date(`${toInput.value}T23:59:59.999`).getTime() : null;
+      this.clearActivePreset();
+      this.render();
+    });
+
+    platformSelect.addEventListener('change', () => {
+      this.filters.platform = platformSelect.value;
+      this.render();
+    });
+
+    channelInput.addEventListener('input', () => {
+      this.filters.channel = channelInput.value.trim().toLowerCase();
+      this.render();
+    });
+
+    trendSelect.addEventListener('change', () => {
+      this.trendChannel = trendSelect.value;
+      this.renderChannelTrends();
+      this.renderAudienceOverlap();
+    });
+
+    // Sortable table headers
+    document.querySelectorAll('#sessions-table thead th[data-sort]').forEach(header => {
+      header.addEventListener('click', () => {
+        const key = header.getAttribute('data-sort');
+        if (this.sort.key === key) {
+          this.sort.direction = this.sort.direction === 'asc' ? 'desc' : 'asc';
+        } else {
+          this.sort = { key, direction: key === 'channelName' || key === 'platform' ? 'asc' : 'desc' };
+        }
+        this.renderTable();
+      });
+    });
+  }
+
+  applyDatePreset(range) {
+    const fromInput = document.getElementById('date-from');
+    const toInput = document.getElementById('date-to');
+
+    if (range === 'all') {
+      this.filters.from = null;
+      this.filters.to = null;
+      fromInput.value = '';
+      toInput.value = '';
+    } else {
+      const days = parseInt(range, 10);
+      const from = new Date();
+      from.setHours(0, 0, 0, 0);
+      from.setDate(from.getDate() - (days - 1));
+      this.filters.from = from.getTime();
+      this.filters.to = null;
+      fromInput.value = this.formatDateInput(from);
+      toInput.value = '';
+    }
+
+    this.render();
+  }
+
+  clearActivePreset() {
+    document.querySelectorAll('.preset-button').forEach(b => b.classList.remove('active'));
+  }
+
+  applyFilters() {
+    const { from, to, platform, channel } = this.filters;
+
+    this.filtered = this.history.filter(session => {
+      if (from && session.timestamp < from) return false;
+      if (to && session.timestamp > to) return false;
+      if (platform !== 'all' && session.platform !== platform) return false;
+      if (channel && !(session.channelName || '').toLowerCase().includes(channel)) return false;
+      return true;
+    });
+  }
+
+  render() {
+    this.applyFilters();
+    this.renderSummary();
+    this.renderPlatformBreakdown();
+    this.populateTrendChannels();
+    this.renderChannelTrends();
+    this.renderAudienceOverlap();
+    this.renderCategoryActivity();
+    this.renderTable();
+  }
+
+  renderSummary() {
+    const container = document.getElementById('summary-cards');
+    container.innerHTML = '';
+
+    const sessions = this.filtered;
+    const totalDuration = sessions.reduce((sum, s) => sum + (s.sessionDuration || 0), 0);
+    const totalMessages = sessions.reduce((sum, s) => sum + (s.totalMessages || 0), 0);
+    const channels = new Set(sessions.map(s => `${s.platform}:${s.channelName}`));
+    const avgMpm = this.average(sessions.map(s => s.avgMessagesPerMinute || 0));
+    const viewerSessions = sessions.filter(s => s.avgViewers > 0);
+    const avgViewers = this.average(viewerSessions.map(s => s.avgViewers));
+
+    const cards = [
+      ['Sessions', sessions.length.toLocaleString()],
+      ['Channels', channels.size.toLocaleString()],
+      ['Watch Time', this.formatElapsedTime(totalDuration)],
+      ['Total Messages', totalMessages.toLocaleString()],
+      ['Avg MPM', this.formatMessageRate(avgMpm, 'mpm')],
+      ['Avg Viewers', viewerSessions.length > 0 ? Math.round(avgViewers).toLocaleString() : 'N/A']
+    ];
+
+    cards.forEach(([label, value]) => {
+      const card = document.createElement('div');
+      card.className = 'summary-card';
+      const valueDiv = document.createElement('div');
+      valueDiv.className = 'value';
+      valueDiv.textContent = value;
+      const labelDiv = document.createElement('div');
+      labelDiv.className = 'label';
+      labelDiv.textContent = label;
+      card.appendChild(valueDiv);
+      card.appendChild(labelDiv);
+      container.appendChild(card);
+    });
+  }
+
+  renderPlatformBreakdown() {
+    const container = document.getElementById('platform-breakdown');
+    container.innerHTML = '';
+
+    if (this.filtered.length === 0) {
+      container.appendChild(this.createNoData('No sessions in this range'));
+      return;
+    }
+
+    const byPlatform = new Map();
+    this.filtered.forEach(session => {
+      const platform = session.platform || 'unknown';
+      if (!byPlatform.has(platform)) {
+        byPlatform.set(platform, []);
+      }
+      byPlatform.get(platform).push(session);
+    });
+
+    const totalDuration = this.filtered.reduce((sum, s) => sum + (s.sessionDuration || 0), 0) || 1;
+
+    Array.from(byPlatform.entries())
+      .sort((a, b) => b[1].length - a[1].length)
+      .forEach(([platform, sessions]) => {
+        const duration = sessions.reduce((sum, s) => sum + (s.sessionDuration || 0), 0);
+        const messages = sessions.reduce((sum, s) => sum + (s.totalMessages || 0), 0);
+        const avgMpm = this.average(sessions.map(s => s.avgMessagesPerMinute || 0));
+
+        const row = document.createElement('div');
+        row.className = 'platform-row';
+
+        const header = document.createElement('div');
+        header.className = 'platform-row-header';
+        const badge = document.createElement('span');
+        badge.className = `platform-badge platform-${platform}`;
+        badge.textContent = this.formatPlatformName(platform);
+        const count = document.createElement('span');
+        count.textContent = `${sessions.length} session${sessions.length === 1 ? '' : 's'}`;
+        header.appendChild(badge);
+        header.appendChild(count);
+        row.appendChild(header);
+
+        const bar = document.createElement('div');
+        bar.className = 'platform-bar';
+        const fill = document.createElement('div');
+        fill.className = 'platform-bar-fill';
+        fill.style.width = `${Math.max((duration / totalDuration) * 100, 1)}%`;
+        fill.style.background = this.getPlatformColor(platform);
+        bar.appendChild(fill);
+        row.appendChild(bar);
+
+        const meta = document.createElement('div');
+        meta.className = 'platform-row-meta';
+        meta.textContent = `${this.formatElapsedTime(duration)} watched · ${messages.toLocaleString()} messages · ${this.formatMessageRate(avgMpm, 'mpm')} avg MPM`;
+        row.appendChild(meta);
+
+        container.appendChild(row);
+      });
+  }
+
+  populateTrendChannels() {
+    const select = document.getElementById('trend-channel');
+
+    // Most-watched channels first
+    const counts = new Map();
+    this.filtered.forEach(session => {
+      const key = this.getChannelKey(session);
+      counts.set(key, (counts.get(key) || 0) + 1);
+    });
+    const keys = Array.from(counts.keys()).sort((a, b) => counts.get(b) - counts.get(a));
+
+    select.innerHTML = '';
+    keys.forEach(key => {
+      const [platform, ...nameParts] = key.split(':');
+      const option = document.createElement('option');
+      option.value = key;
+      option.textContent = `${nameParts.join(':')} (${this.formatPlatformName(platform)}) · ${counts.get(key)}`;
+      select.appendChild(option);
+    });
+
+    if (!keys.includes(this.trendChannel)) {
+      this.trendChannel = keys[0] || null;
+    }
+    if (this.trendChannel) {
+      select.value = this.trendChannel;
+    }
+  }
+
+  renderChannelTrends() {
+    const container = document.getElementById('channel-trends');
+    container.innerHTML = '';
+
+    if (!this.trendChannel) {
+      container.appendChild(this.createNoData('No channels in this range'));
+      return;
+    }
+
+    const sessions = this.filtered
+      .filter(session => this.getChannelKey(session) === this.trendChannel)
+      .sort((a, b) => a.timestamp - b.timestamp);
+
+    const platform = this.trendChannel.split(':')[0];
+    const color = this.getPlatformColor(platform);
+
+    container.appendChild(this.createTrendChart('Avg Messages / Minute', sessions.map(s => [s.timestamp, s.avgMessagesPerMinute || 0]), color));
+    container.appendChild(this.createTrendChart('Unique Chatters', sessions.map(s => [s.timestamp, s.uniqueChatters || 0]), color));
+    container.appendChild(this.createTrendChart('Avg Viewers', sessions.filter(s => s.avgViewers > 0).map(s => [s.timestamp, s.avgViewers]), color));
+    container.appendChild(this.createTrendChart('Returning Chatters (%)', sessions
+      .filter(s => s.returningChatters !== undefined && s.uniqueChatters > 0)
+      .map(s => [s.timestamp, Math.round(s.returningChatters / s.uniqueChatters * 100)]), color));
+    container.appendChild(this.createTrendChart('Retention From Previous Session (%)', sessions
+      .filter(s => s.retention)
+      .map(s => [s.timestamp, Math.round(s.retention.rate * 100)]), color));
+  }
+
+  async getAudienceOverlap(channelKey) {
+    // Computed by the background over the selected date range, so chatter hashes never
+    // leave it; cached per channel and range until the history changes
+    const { from, to } = this.filters;
+    const cacheKey = `${channelKey}|${from}|${to}`;
+    if (!this.overlapCache.has(cacheKey)) {
+      const request = chrome.runtime.sendMessage({ type: 'GET_AUDIENCE_OVERLAP', channelKey, query: { from, to } })
+        .then(response => (response && response.success ? response.overlap : null));
+      request.catch(() => this.overlapCache.delete(cacheKey));
+      this.overlapCache.set(cacheKey, request);
+    }
+    return this.overlapCache.get(cacheKey);
+  }
+
+  async renderAudienceOverlap() {
+    const container = document.getElementById('audience-overlap');
+    const channelKey = this.trendChannel;
+    const { from, to } = this.filters;
+
+    let overlap = null;
+    try {
+      overlap = channelKey ? await this.getAudienceOverlap(channelKey) : null;
+    } catch (error) {
+      console.error('Stream Chat Analyser Dashboard: Failed to load audience overlap:', error);
+    }
+
+    // A newer channel or date range was picked while this one loaded
+    if (channelKey !== this.trendChannel || from !== this.filters.from || to !== this.filters.to) return;
+
+    container.innerHTML = '';
+    if (!overlap) {
+      container.appendChild(this.createNoData('No chatter data for this channel in this range'));
+      return;
+    }
+    if (overlap.length === 0) {
+      container.appendChild(this.createNoData('No other channel shares chatters with this one'));
+      return;
+    }
+
+    overlap.slice(0, 10).forEach((entry, index) => {
+      const [platform, ...nameParts] = entry.key.split(':');
+
+      const row = document.createElement('div');
+      row.className = 'overlap-row';
+
+      const name = document.createElement('span');
+      name.className = 'overlap-name';
+      name.textContent = `${index + 1}. ${nameParts.join(':')}`;
+      row.appendChild(name);
+
+      const badge = document.createElement('span');
+      badge.className = `platform-badge platform-${platform}`;
+      badge.textContent = this.formatPlatformName(platform);
+      row.appendChild(badge);
+
+      const shared = document.createElement('span');
+      shared.className = 'overlap-shared';
+      shared.textContent = `${entry.shared.toLocaleString()} shared (${Math.round(entry.share * 100)}% of this chat)`;
+      row.appendChild(shared);
+
+      const jaccard = document.createElement('span');
+      jaccard.className = 'overlap-jaccard';
+      jaccard.textContent = `Jaccard ${entry.jaccard.toFixed(3)}`;
+      row.appendChild(jaccard);
+
+      container.appendChild(row);
+    });
+  }
+
+  getCategoryActivity() {
+    // Chat activity per category/game across the filtered sessions. Sessions that
+    // changed category contribute each segment separately.
+    const byCategory = new Map();
+
+    this.filtered.forEach((session, index) => {
+      const segments = Array.isArray(session.categorySegments) && session.categorySegments.length > 0
+        ? session.categorySegments
+        : session.streamCategory
+          ? [{ category: session.streamCategory, start: 0, end: (session.sessionDuration || 0) / 1000, messages: session.totalMessages || 0 }]
+          : [];
+
+      segments.forEach(segment => {
+        const seconds = Math.max(segment.end - segment.start, 0);
+        if (!byCategory.has(segment.category)) {
+          byCategory.set(segment.category, { category: segment.category, sessions: new Set(), seconds: 0, messages: 0, viewerSeconds: 0, viewedSeconds: 0 });
+        }
+        const entry = byCategory.get(segment.category);
+        entry.sessions.add(session.sessionId || index);
+        entry.seconds += seconds;
+        entry.messages += segment.messages || 0;
+        if (session.avgViewers > 0) {
+          entry.viewerSeconds += session.avgViewers * seconds;
+          entry.viewedSeconds += seconds;
+        }
+      });
+    });
+
+    return Array.from(byCategory.values())
+      .map(entry => ({
+        category: entry.category,
+        sessions: entry.sessions.size,
+        seconds: entry.seconds,
+        messages: entry.messages,
+        mpm: entry.seconds > 0 ? entry.messages / (entry.seconds / 60) : 0,
+        avgViewers: entry.viewedSeconds > 0 ? Math.round(entry.viewerSeconds / entry.viewedSeconds) : 0
+      }))
+      .sort((a, b) => b.seconds - a.seconds);
+  }
+
+  renderCategoryActivity() {
+    const container = document.getElementById('category-activity');
+    container.innerHTML = '';
+
+    const categories = this.getCategoryActivity();
+    if (categories.length === 0) {
+      container.appendChild(this.createNoData('No category recorded for sessions in this range'));
+      return;
+    }
+
+    categories.slice(0, 15).forEach(entry => {
+      const row = document.createElement('div');
+      row.className = 'category-row';
+
+      const name = document.createElement('span');
+      name.className = 'category-name';
+      name.textContent = entry.category;
+      name.title = entry.category;
+      row.appendChild(name);
+
+      const sessions = document.createElement('span');
+      sessions.className = 'category-meta';
+      sessions.textContent = `${entry.sessions} session${entry.sessions === 1 ? '' : 's'} · ${this.formatElapsedTime(entry.seconds * 1000)}`;
+      row.appendChild(sessions);
+
+      const viewers = document.createElement('span');
+      viewers.className = 'category-meta';
+      viewers.textContent = entry.avgViewers > 0 ? `${entry.avgViewers.toLocaleString()} avg viewers` : 'N/A';
+      row.appendChild(viewers);
+
+      const rate = document.createElement('span');
+      rate.className = 'category-rate';
+      rate.textContent = `${this.formatMessageRate(entry.mpm, 'mpm')} msg/min`;
+      row.appendChild(rate);
+
+      container.appendChild(row);
+    });
+  }
+
+  createTrendChart(title, points, color) {
+    const svgNS = 'http://www.w3.org/2000/svg';
+    const width = 700;
+    const height = 120;
+    const padding = { top: 12, right: 12, bottom: 18, left: 44 };
+
+    const chart = document.createElement('div');
+    chart.className = 'trend-chart';
+
+    const chartTitle = document.createElement('div');
+    chartTitle.className = 'trend-chart-title';
+    chartTitle.textContent = title;
+    chart.appendChild(chartTitle);
+
+    if (points.length === 0) {
+      chart.appendChild(this.createNoData('No data'));
+      return chart;
+    }
+
+    const minT = points[0][0];
+    const maxT = points[points.length - 1][0];
+    const maxValue = Math.max(...points.map(point => point[1]), 1);
+    const plotWidth = width - padding.left - padding.right;
+    const plotHeight = height - padding.top - padding.bottom;
+
+    // A single session is drawn in the middle of the chart
+    const x = (t) => maxT === minT ? padding.left + plotWidth / 2 : padding.left + ((t - minT) / (maxT - minT)) * plotWidth;
+    const y = (value) => padding.top + plotHeight - (value / maxValue) * plotHeight;
+
+    const svg = document.createElementNS(svgNS, 'svg');
+    svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
+    svg.setAttribute('preserveAspectRatio', 'none');
+
+    const axis = document.createElementNS(svgNS, 'line');
+    axis.setAttribute('x1', padding.left);
+    axis.setAttribute('x2', width - padding.right);
+    axis.setAttribute('y1', padding.top + plotHeight);
+    axis.setAttribute('y2', padding.top + plotHeight);
+    axis.setAttribute('class', 'chart-axis');
+    svg.appendChild(axis);
+
+    const addLabel = (text, lx, ly, anchor) => {
+      const label = document.createElementNS(svgNS, 'text');
+      label.setAttribute('x', lx);
+      label.setAttribute('y', ly);
+      label.setAttribute('text-anchor', anchor);
+      label.setAttribute('class', 'chart-label');
+      label.textContent = text;
+      svg.appendChild(label);
+    };
+
+    addLabel(Math.round(maxValue).toLocaleString(), padding.left - 6, padding.top + 4, 'end');
+    addLabel('0', padding.left - 6, padding.top + plotHeight, 'end');
+    addLabel(new Date(minT).toLocaleDateString(), padding.left, height - 4, 'start');
+    if (maxT !== minT) {
+      addLabel(new Date(maxT).toLocaleDateString(), width - padding.right, height - 4, 'end');
+    }
+
+    if (points.length > 1) {
+      const line = document.createElementNS(svgNS, 'polyline');
+      line.setAttribute('points', points.map(([t, value]) => `${x(t).toFixed(1)},${y(value).toFixed(1)}`).join(' '));
+      line.setAttribute('fill', 'none');
+      line.setAttribute('stroke', color);
+      line.setAttribute('stroke-width', '1.5');
+      svg.appendChild(line);
+    }
+
+    // One dot per session, with a tooltip
+    points.forEach(([t, value]) => {
+      const dot = document.createElementNS(svgNS, 'circle');
+      dot.setAttribute('cx', x(t).toFixed(1));
+      dot.setAttribute('cy', y(value).toFixed(1));
+      dot.setAttribute('r', '2.5');
+      dot.setAttribute('fill', color);
+      const tooltip = document.createElementNS(svgNS, 'title');
+      tooltip.textContent = `${new Date(t).toLocaleString()}: ${Math.round(value * 100) / 100}`;
+      dot.appendChild(tooltip);
+      svg.appendChild(dot);
+    });
+
+    chart.appendChild(svg);
+    return chart;
+  }
+
+  renderTable() {
+    const tbody = document.getElementById('sessions-table-body');
+    const footer = document.getElementById('table-footer');
+    tbody.innerHTML = '';
+
+    // Update sort indicators
+    document.querySelectorAll('#sessions-table thead th[data-sort]').forEach(header => {
+      header.classList.remove('sorted-asc', 'sorted-desc');
+      if (header.getAttribute('data-sort') === this.sort.key) {
+        header.classList.add(this.sort.direction === 'asc' ? 'sorted-asc' : 'sorted-desc');
+      }
+    });
+
+    if (this.filtered.length === 0) {
+      const row = document.createElement('tr');
+      const cell = document.createElement('td');
+      cell.colSpan = 11;
+      cell.className = 'no-data';
+      cell.textContent = this.history.length === 0 ? 'No chat history available' : 'No sessions match the current filters';
+      row.appendChild(cell);
+      tbody.appendChild(row);
+      footer.textContent = '';
+      return;
+    }
+
+    const { key, direction } = this.sort;
+    const sorted = [...this.filtered].sort((a, b) => {
+      const valueA = a[key] === undefined || a[key] === null ? '' : a[key];
+      const valueB = b[key] === undefined || b[key] === null ? '' : b[key];
+      const result = typeof valueA === 'string' || typeof valueB === 'string'
+        ? String(valueA).localeCompare(String(valueB))
+        : valueA - valueB;
+      return direction === 'asc' ? result : -result;
+    });
+
+    sorted.forEach(session => {
+      const row = document.createElement('tr');
+
+      const streamerCell = document.createElement('td');
+      const streamer = document.createElement('div');
+      streamer.className = 'streamer-cell';
+      const avatarUrl = this.sanitizeUrl(session.channelAvatar);
+      if (avatarUrl) {
+        const avatar = document.createElement('img');
+        avatar.className = 'history-avatar';
+        avatar.src = avatarUrl;
+        avatar.alt = '';
+        avatar.onerror = function() { this.style.display = 'none'; };
+        streamer.appendChild(avatar);
+      }
+      const name = document.createElement('span');
+      name.textContent = session.channelName || 'Unknown';
+      streamer.appendChild(name);
+      streamerCell.appendChild(streamer);
+      row.appendChild(streamerCell);
+
+      const platformCell = document.createElement('td');
+      const badge = document.createElement('span');
+      badge.className = `platform-badge platform-${session.platform || 'unknown'}`;
+      badge.textContent = this.formatPlatformName(session.platform || 'unknown');
+      platformCell.appendChild(badge);
+      row.appendChild(platformCell);
+
+      const cells = [
+        this.formatMessageRate(session.avgMessagesPerMinute || 0, 'mpm'),
+        session.peakMessagesPerMinute ? session.peakMessagesPerMinute : '—',
+        this.formatMessageRate(session.avgMessagesPerSecond || 0, 'mps'),
+        (session.uniqueChatters || 0).toLocaleString(),
+        (session.totalMessages || 0).toLocaleString(),
+        session.avgViewers > 0 ? session.avgViewers.toLocaleString() : 'N/A',
+        this.formatElapsedTime(session.sessionDuration || 0),
+        session.formattedDate || new Date(session.timestamp).toLocaleString()
+      ];
+
+      cells.forEach(value => {
+        const cell = document.createElement('td');
+        cell.textContent = value;
+        row.appendChild(cell);
+      });
+
+      row.appendChild(this.createMarkerCell(session));
+
+      tbody.appendChild(row);
+    });
+
+    footer.textContent = `Showing ${sorted.length} of ${this.history.length} sessions`;
+  }
+
+  createMarkerCell(session) {
+    // Hype marker count with chapter/EDL/CSV downloads
+    const cell = document.createElement('td');
+    if (!MarkerExporter.hasMarkers(session)) {
+      cell.textContent = '—';
+      return cell;
+    }
+
+    const actions = document.createElement('div');
+    actions.className = 'marker-actions';
+
+    const count = document.createElement('span');
+    count.textContent = session.hypeMarkers.length;
+    actions.appendChild(count);
+
+    [['chapters', 'TXT', 'YouTube chapter list'], ['edl', 'EDL', 'Marker list for video editors'], ['csv', 'CSV', 'Marker spreadsheet']]
+      .forEach(([format, label, title]) => {
+        const button = document.createElement('button');
+        button.className = 'marker-button';
+        const unavailable = MarkerExporter.getUnavailableReason(session, format);
+        button.textContent = label;
+        button.title = unavailable || title;
+        button.disabled = unavailable !== null;
+        button.addEventListener('click', () => MarkerExporter.download(session, format));
+        actions.appendChild(button);
+      });
+
+    cell.appendChild(actions);
+    return cell;
+  }
+
+  createNoData(text) {
+    const div = document.createElement('div');
+    div.className = 'no-data';
+    div.textContent = text;
+    return div;
+  }
+
+  getChannelKey(session) {
+    return `${session.platform || 'unknown'}:${session.channelName || 'Unknown'}`;
+  }
+
+  average(values) {
+    return values.length > 0 ? values.reduce((a, b) => a + b, 0) / values.length : 0;
+  }
+
+  formatDateInput(date) {
+    const month = (date.getMonth() + 1).toString().padStart(2, '0');
+    const day = date.getDate().toString().padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+  }
+
+  formatMessageRate(rate, type = 'mpm') {
+    // Format message rate: MPM shows decimals if < 1, MPS shows whole numbers only
+    if (type === 'mps') {
+      return Math.round(rate);
+    } else {
+      return rate < 1 ? rate.toFixed(2) : Math.round(rate);
+    }
+  }
+
+  formatPlatformName(platform) {
+    return Platforms.getName(platform);
+  }
+
+  getPlatformColor(platform) {
+    return Platforms.getColor(platform);
+  }
+
+  formatElapsedTime(milliseconds) {
+    const totalSeconds = Math.floor(milliseconds / 1000);
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    const seconds = totalSeconds % 60;
+
+    return `${hours.toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}`;
+  }
+
+  sanitizeUrl(url) {
+    // Only allow http/https URLs
+    if (typeof url !== 'string') return '';
+    if (!url.match(/^https?:\/\//)) return '';
+    return url.replace(/[<>"']/g, '');
+  }
+}
+
+// Initialize dashboard
+const dashboard = new ChatAnalyticsDashboard();
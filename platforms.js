@@ -0,0 +1,24 @@
+// Stream Chat Analyser - Platforms
+// Display name and accent color for each platform id stored with sessions.
+// Shared by the platform adapters and the analytics dashboard, which has no
+// adapters loaded.
+
+class Platforms {
+  static get INFO() {
+    return {
+      twitch: { name: 'Twitch', color: '#9146ff' },
+      youtube: { name: 'YouTube', color: '#ff0000' },
+      kick: { name: 'Kick', color: '#00ff00' }
+    };
+  }
+
+  static getName(platform) {
+    const info = Platforms.INFO[platform];
+    return info ? info.name : 'Unknown';
+  }
+
+  static getColor(platform) {
+    const info = Platforms.INFO[platform];
+    return info ? info.color : '#888888';
+  }
+}
@@ -6,7 +6,11 @@ class TwitchChatMonitorPopup {
     this.settings = {
       enabled: true,
       position: 'top-right',
-      theme: 'dark'
+      theme: 'dark',
+      historyRetentionDays: 0,
+      watchKeywords: [],
+      baseCurrency: 'USD',
+      currencyRates: null
     };
 
     this.init();
@@ -55,10 +59,22 @@ class TwitchChatMonitorPopup {
     const enabledCheckbox = document.getElementById('enabled');
     const positionSelect = document.getElementById('position');
     const themeSelect = document.getElementById('theme');
+    const retentionSelect = document.getElementById('history-retention');
+    const keywordsInput = document.getElementById('watch-keywords');
+    const baseCurrencyInput = document.getElementById('base-currency');
+    const ratesInput = document.getElementById('currency-rates');
 
     if (enabledCheckbox) enabledCheckbox.checked = this.settings.enabled;
     if (positionSelect) positionSelect.value = this.settings.position;
     if (themeSelect) themeSelect.value = this.settings.theme;
+    if (retentionSelect) retentionSelect.value = String(this.settings.historyRetentionDays || 0);
+    if (keywordsInput) keywordsInput.value = (this.settings.watchKeywords || []).join('\n');
+    if (baseCurrencyInput) baseCurrencyInput.value = CurrencyConverter.getBaseCurrency(this.settings);
+    if (ratesInput) {
+      // Built-in rates are only a placeholder, so saving never copies them into settings
+      ratesInput.placeholder = CurrencyConverter.formatRates(CurrencyConverter.DEFAULT_RATES);
+      ratesInput.value = this.settings.currencyRates ? CurrencyConverter.formatRates(this.settings.currencyRates) : '';
+    }
   }
 
   setupEventListeners() {
@@ -74,8 +90,17 @@ class TwitchChatMonitorPopup {
       resetLink.addEventListener('click', (e) => this.handleReset(e));
     }
 
+    // Dashboard link
+    const dashboardLink = document.getElementById('dashboard-link');
+    if (dashboardLink) {
+      dashboardLink.addEventListener('click', (e) => {
+        e.preventDefault();
+        chrome.runtime.openOptionsPage();
+      });
+    }
+
     // Settings change listeners for real-time updates
-    const inputs = form.querySelectorAll('input, select');
+    const inputs = form.querySelectorAll('input, select, textarea');
     inputs.forEach(input => {
       input.addEventListener('change', () => this.handleSettingChange(input));
     });
@@ -135,7 +160,7 @@ class TwitchChatMonitorPopup {
     // Also notify all active tabs with content scripts
     const tabs = await chrome.tabs.query({});
     for (const tab of tabs) {
-      if (tab.url && tab.url.includes('twitch.tv')) {
+      if (this.isSupportedSite(tab.url)) {
         try {
           await chrome.tabs.sendMessage(tab.id, {
             type: 'SETTINGS_UPDATED',
@@ -156,7 +181,11 @@ class TwitchChatMonitorPopup {
       this.settings = {
         enabled: true,
         position: 'top-right',
-        theme: 'dark'
+        theme: 'dark',
+        historyRetentionDays: 0,
+        watchKeywords: [],
+        baseCurrency: 'USD',
+        currencyRates: null
       };
 
       await this.saveSettings();
@@ -182,14 +211,41 @@ class TwitchChatMonitorPopup {
     const enabledCheckbox = document.getElementById('enabled');
     const positionSelect = document.getElementById('position');
     const themeSelect = document.getElementById('theme');
+    const retentionSelect = document.getElementById('history-retention');
+    const keywordsInput = document.getElementById('watch-keywords');
+    const baseCurrencyInput = document.getElementById('base-currency');
+    const ratesInput = document.getElementById('currency-rates');
 
     this.settings = {
       enabled: enabledCheckbox ? enabledCheckbox.checked : true,
       position: positionSelect ? positionSelect.value : 'top-right',
-      theme: themeSelect ? themeSelect.value : 'dark'
+      theme: themeSelect ? themeSelect.value : 'dark',
+      historyRetentionDays: retentionSelect ? parseInt(retentionSelect.value, 10) : 0,
+      watchKeywords: keywordsInput ? this.parseKeywords(keywordsInput.value) : [],
+      baseCurrency: baseCurrencyInput && /^[A-Za-z]{3}$/.test(baseCurrencyInput.value.trim())
+        ? baseCurrencyInput.value.trim().toUpperCase()
+        : 'USD',
+      currencyRates: ratesInput ? this.parseRatesInput(ratesInput.value) : null
     };
   }
 
+  parseRatesInput(value) {
+    // null (built-in rates) when the field is empty or still holds exactly the defaults
+    const rates = CurrencyConverter.parseRates(value);
+    const defaults = CurrencyConverter.DEFAULT_RATES;
+    const entries = Object.entries(rates);
+    const isDefault = entries.length === Object.keys(defaults).length &&
+      entries.every(([currency, rate]) => defaults[currency] === rate);
+    return entries.length === 0 || isDefault ? null : rates;
+  }
+
+  parseKeywords(value) {
+    // One keyword, phrase or /regex/ per line
+    return value.split('\n')
+      .map(line => line.trim())
+      .filter((line, index, lines) => line.length > 0 && lines.indexOf(line) === index);
+  }
+
   async saveSettings() {
     try {
       await chrome.storage.sync.set({
@@ -231,6 +287,16 @@ class TwitchChatMonitorPopup {
     }
   }
 
+  isSupportedSite(url) {
+    if (!url) return false;
+    try {
+      const hostname = new URL(url).hostname;
+      return hostname === 'www.twitch.tv' || hostname === 'www.youtube.com' || hostname === 'kick.com';
+    } catch (e) {
+      return false;
+    }
+  }
+
   isTwitchChannel(url) {
     if (!url) return false;
     try {
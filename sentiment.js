@@ -0,0 +1,143 @@
+// Stream Chat Analyser - Sentiment
+// Scores chat message text with a small built-in English lexicon and a map of
+// common chat emotes, emoticons and emoji. Runs entirely in the page; no text is
+// sent to any service.
+
+class SentimentScorer {
+  // Word polarity from -2 (strongly negative) to 2 (strongly positive), lowercase
+  static get LEXICON() {
+    return {
+      // Positive
+      good: 1, great: 2, nice: 1, love: 2, loved: 2, loving: 2, awesome: 2, amazing: 2,
+      best: 2, better: 1, cool: 1, fun: 1, funny: 1, happy: 1, glad: 1, beautiful: 2, wow: 1,
+      win: 1, won: 1, winning: 1, clutch: 2, insane: 1, incredible: 2, perfect: 2, excellent: 2,
+      fantastic: 2, wholesome: 2, cute: 1, hype: 1, hyped: 1, lit: 1, goat: 2, legend: 2,
+      legendary: 2, epic: 1, gg: 1, ggs: 1, congrats: 2, congratulations: 2, grats: 1, thanks: 1,
+      thank: 1, ty: 1, thx: 1, welcome: 1, yay: 1, yes: 1, lol: 1, lmao: 1, lmfao: 1, rofl: 1,
+      haha: 1, hahaha: 1, clean: 1, based: 1, banger: 2, fire: 1, sick: 1, pog: 2, poggers: 2,
+      gj: 1, wp: 1, nice1: 1, w: 1, enjoy: 1, enjoying: 1, excited: 1, proud: 1, respect: 1,
+      // Negative
+      bad: -1, worse: -1, worst: -2, hate: -2, hated: -2, hating: -2, awful: -2, terrible: -2,
+      horrible: -2, boring: -1, bored: -1, sad: -1, cringe: -1, trash: -2, garbage: -2, sucks: -2,
+      suck: -1, lame: -1, ugly: -1, stupid: -1, dumb: -1, annoying: -1, angry: -1, mad: -1,
+      lose: -1, lost: -1, losing: -1, fail: -1, failed: -1, throw: -1, throwing: -1, threw: -1,
+      rip: -1, f: -1, oof: -1, yikes: -1, ew: -1, eww: -1, wtf: -1, scam: -2, rigged: -1,
+      lag: -1, laggy: -1, buffering: -1, unfollow: -2, unfollowed: -2, cry: -1, crying: -1,
+      noo: -1, nooo: -1, sadly: -1, unfortunately: -1, disappointed: -2,
+      disappointing: -2, l: -1, ratio: -1, mid: -1, toxic: -2, report: -1, hurt: -1, pain: -1
+    };
+  }
+
+  // Emote and emoticon polarity, matched case-sensitively as whole tokens
+  static get EMOTES() {
+    return {
+      // Positive
+      PogChamp: 2, Pog: 2, POGGERS: 2, PogU: 2, Poggers: 2, POGSLIDE: 2, PogBones: 1,
+      LUL: 1, LULW: 1, KEKW: 1, OMEGALUL: 1, ICANT: 1, pepeLaugh: 1, EleGiggle: 1, '4Head': 1,
+      Kreygasm: 2, SeemsGood: 1, VoteYea: 1, HeyGuys: 1, '<3': 2, bleedPurple: 1, GivePLZ: 1,
+      FeelsGoodMan: 2, FeelsStrongMan: 1, FeelsOkayMan: 1, peepoHappy: 2, widepeepoHappy: 2,
+      peepoClap: 1, Clap: 1, EZ: 1, catJAM: 1, pepeD: 1, PepoDance: 1, HYPERS: 2, Hypers: 2,
+      CoolCat: 1, BloodTrail: 1, TwitchUnity: 1, GlitchCat: 1, ':)': 1, ':D': 1, 'xD': 1, 'XD': 1, ';)': 1,
+      // Negative
+      Sadge: -1, PepeHands: -2, FeelsBadMan: -2, BibleThump: -2, NotLikeThis: -1, ResidentSleeper: -2,
+      WutFace: -1, DansGame: -2, BabyRage: -1, SwiftRage: -2, VoteNay: -1, monkaS: -1, monkaW: -1,
+      Madge: -2, WeirdChamp: -2, Weirdge: -1, FailFish: -1, NotLikeThisMan: -1,
+      peepoSad: -2, Deadge: -1, Sleeper: -1, ':(': -1, ":'(": -2, 'D:': -1
+    };
+  }
+
+  // Emoji polarity
+  static get EMOJI() {
+    return {
+      '😂': 1, '🤣': 1, '😄': 1, '😃': 1, '😀': 1, '😊': 1, '😍': 2, '🥰': 2, '😁': 1, '🙂': 1,
+      '❤': 2, '💜': 2, '💕': 2, '👍': 1, '👏': 1, '🔥': 1, '🎉': 2, '🥳': 2, '💯': 1, '🙌': 1,
+      '😢': -1, '😭': -1, '😞': -1, '😔': -1, '🙁': -1, '☹': -1, '😡': -2, '🤬': -2, '😠': -2,
+      '👎': -1, '🤮': -2, '😴': -1, '🥱': -1, '💔': -2
+    };
+  }
+
+  // Words that flip the polarity of the next few words
+  static get NEGATORS() {
+    return ['not', 'no', 'never', 'isnt', "isn't", 'dont', "don't", 'doesnt', "doesn't", 'wasnt', "wasn't", 'aint', "ain't", 'cant', "can't", 'wont', "won't", 'nothing'];
+  }
+
+  // Words that strengthen the next scored word
+  static get INTENSIFIERS() {
+    return ['very', 'so', 'really', 'super', 'extremely', 'too', 'absolutely', 'totally', 'fucking', 'hella', 'mega'];
+  }
+
+  constructor() {
+    this.lexicon = SentimentScorer.LEXICON;
+    this.emotes = SentimentScorer.EMOTES;
+    this.emoji = SentimentScorer.EMOJI;
+    this.negators = new Set(SentimentScorer.NEGATORS);
+    this.intensifiers = new Set(SentimentScorer.INTENSIFIERS);
+  }
+
+  score(text) {
+    // Sum of word, emote and emoji polarities; negative below 0, positive above, 0 for neutral.
+    // Repeats of one emote in a message ("LUL LUL LUL") count once so spam does not dominate.
+    const tokens = (text || '').split(/\s+/).filter(Boolean);
+    const seenEmotes = new Set();
+    let score = 0;
+    let negateFor = 0;   // Following words still negated
+    let multiplier = 1;  // Intensifier waiting for the next scored word
+
+    tokens.forEach(token => {
+      if (Object.prototype.hasOwnProperty.call(this.emotes, token)) {
+        if (!seenEmotes.has(token)) {
+          seenEmotes.add(token);
+          score += this.emotes[token];
+        }
+        return;
+      }
+
+      const word = token.toLowerCase().replace(/^[^\p{L}\p{N}']+|[^\p{L}\p{N}']+$/gu, '');
+      if (!word) return;
+
+      if (this.negators.has(word)) {
+        negateFor = 3;
+        return;
+      }
+      if (this.intensifiers.has(word)) {
+        multiplier = 1.5;
+        return;
+      }
+
+      if (Object.prototype.hasOwnProperty.call(this.lexicon, word)) {
+        const value = this.lexicon[word] * multiplier;
+        score += negateFor > 0 ? -value : value;
+        multiplier = 1;
+        negateFor = 0;
+      } else if (negateFor > 0) {
+        negateFor--;
+      }
+    });
+
+    // Emoji may be attached to words ("gg🔥"), so they are matched across the whole text
+    const emoji = (text || '').match(/\p{Extended_Pictographic}/gu) || [];
+    new Set(emoji).forEach(symbol => {
+      score += this.emoji[symbol] || 0;
+    });
+
+    return score;
+  }
+
+  static getPolarity(score) {
+    return score > 0 ? 'positive' : score < 0 ? 'negative' : 'neutral';
+  }
+
+  static getMood(positive, negative, total) {
+    // Net mood from -100 (all negative) to 100 (all positive); neutral messages pull it towards 0
+    if (!total) return 0;
+    return Math.round((positive - negative) / total * 100);
+  }
+
+  static describeMood(mood) {
+    if (mood >= 30) return 'Very positive';
+    if (mood >= 10) return 'Positive';
+    if (mood > -10) return 'Neutral';
+    if (mood > -30) return 'Negative';
+    return 'Very negative';
+  }
+}
@@ -0,0 +1,218 @@
+// Stream Chat Analyser - Session Lifecycle
+// Builds, checkpoints and finalizes chat sessions. Shared by the content script
+// (which owns the live session) and the background service worker (which
+// recovers sessions whose tab crashed or closed before they were finalized).
+
+class SessionLifecycle {
+  static get CHECKPOINT_PREFIX() { return 'sessionCheckpoint_'; }
+  static get CHECKPOINT_INTERVAL_MS() { return 5000; }
+  // Background tabs can have timers throttled to once a minute, so only treat
+  // a checkpoint as orphaned once it is well past that
+  static get ORPHAN_AFTER_MS() { return 3 * 60 * 1000; }
+
+  constructor(monitor) {
+    this.monitor = monitor;
+    this.sessionId = null;
+    this.checkpointInterval = null;
+    this.finalized = true;
+    this.chatterHashes = new Map(); // Chatter name -> salted hash; only hashes leave the tab
+    this.salt = null;               // Per-install salt owned by the background's ChatterRegistry
+  }
+
+  get checkpointKey() {
+    return this.sessionId ? `${SessionLifecycle.CHECKPOINT_PREFIX}${this.sessionId}` : null;
+  }
+
+  start() {
+    this.stopCheckpoints();
+
+    this.sessionId = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+    this.finalized = false;
+    this.chatterHashes = new Map(); // A new map: a previous session's finalize may still be hashing into the old one
+
+    this.checkpointInterval = setInterval(() => {
+      this.checkpoint();
+    }, SessionLifecycle.CHECKPOINT_INTERVAL_MS);
+
+    console.log('Multi-Platform Chat Monitor: Session started', this.sessionId);
+  }
+
+  buildEntry() {
+    const monitor = this.monitor;
+    const sessionData = monitor.sessionData;
+    const peaks = sessionData.peaks || {};
+    const now = Date.now();
+
+    const average = (values) => values.length > 0 ? values.reduce((a, b) => a + b, 0) / values.length : 0;
+
+    return {
+      sessionId: this.sessionId,
+      channelName: monitor.currentChannel,
+      channelAvatar: monitor.getChannelThumbnail(monitor.currentChannel),
+      avgMessagesPerMinute: Math.round(average(sessionData.messagesPerMinute)),
+      avgMessagesPerSecond: Math.round(average(sessionData.messagesPerSecond) * 100) / 100,
+      sessionDuration: monitor.monitoringStartTime ? now - monitor.monitoringStartTime : 0,
+      avgViewers: Math.round(average(sessionData.viewerCounts)),
+      totalMessages: Math.max(sessionData.totalMessages, monitor.totalMessages),
+      uniqueChatters: monitor.uniqueChatters.size,
+      botMessages: monitor.botMessages,
+      botChatters: monitor.botChatters.size,
+      avgBotMessagesPerMinute: Math.round(average(sessionData.botMessagesPerMinute || [])),
+      // Consumed by the background's chatter registry; chatters not hashed yet are left out rather than stored by name
+      chatterHashes: Array.from(monitor.uniqueChatters, name => this.chatterHashes.get(name)).filter(Boolean),
+      bots: Array.from(monitor.botChatters.values())
+        .sort((a, b) => b.messages - a.messages)
+        .slice(0, 20)
+        .map(({ name, reason, messages }) => ({ name, reason, messages })),
+      platform: monitor.currentPlatform,
+      startTime: monitor.monitoringStartTime,
+      timeSeries: {
+        interval: 10,
+        fields: ['t', 'mpm', 'mps', 'viewers', 'chatters'],
+        samples: sessionData.timeSeries || []
+      },
+      peakMessagesPerMinute: peaks.messagesPerMinute ? peaks.messagesPerMinute.value : 0,
+      peakMessagesPerMinuteAt: peaks.messagesPerMinute ? peaks.messagesPerMinute.timestamp : null,
+      peakMessagesPerSecond: peaks.messagesPerSecond ? peaks.messagesPerSecond.value : 0,
+      peakMessagesPerSecondAt: peaks.messagesPerSecond ? peaks.messagesPerSecond.timestamp : null,
+      peakViewers: peaks.viewers ? peaks.viewers.value : 0,
+      peakViewersAt: peaks.viewers ? peaks.viewers.timestamp : null,
+      engagement: monitor.getEngagement(now),
+      ...monitor.getAnalyzerSessionData(),
+      timestamp: now,
+      formattedDate: new Date(now).toLocaleString()
+    };
+  }
+
+  async hashChatters(chatters, hashes = this.chatterHashes) {
+    // Adds the chatters not hashed yet to the name -> hash map and returns every chatter's hash
+    const names = chatters.filter(name => !hashes.has(name));
+    if (names.length === 0) return chatters.map(name => hashes.get(name));
+
+    if (!this.salt) {
+      const response = await chrome.runtime.sendMessage({ type: 'GET_CHATTER_SALT' });
+      if (!response || !response.success || !response.salt) {
+        throw new Error((response && response.error) || 'No chatter salt');
+      }
+      this.salt = response.salt;
+    }
+
+    const hashed = await ChatterHash.hashNames(names, this.salt);
+    names.forEach((name, index) => hashes.set(name, hashed[index]));
+    return chatters.map(name => hashes.get(name));
+  }
+
+  addChatterHashes(entry, chatters, hashes) {
+    // Null when every chatter is hashed already, so callers can skip the await and an
+    // unloading page still sends its save synchronously in the usual case
+    if (chatters.every(name => hashes.has(name))) return null;
+
+    return this.hashChatters(chatters, hashes).then(chatterHashes => {
+      entry.chatterHashes = chatterHashes;
+    }).catch(error => {
+      console.warn('Multi-Platform Chat Monitor: Could not hash chatters:', error.message);
+    });
+  }
+
+  isActive() {
+    return !this.finalized && !!this.monitor.currentChannel && !!this.monitor.monitoringStartTime;
+  }
+
+  hasExtensionContext() {
+    return typeof chrome !== 'undefined' && chrome.runtime && !!chrome.runtime.id;
+  }
+
+  async checkpoint() {
+    if (!this.isActive() || !this.hasExtensionContext()) return;
+
+    // Captured before any await, so a session that ends meanwhile is not checkpointed under the next one's key
+    const entry = { ...this.buildEntry(), checkpointedAt: Date.now() };
+    const checkpointKey = this.checkpointKey;
+    const hashing = this.addChatterHashes(entry, Array.from(this.monitor.uniqueChatters), this.chatterHashes);
+    if (hashing) await hashing;
+
+    try {
+      await chrome.storage.local.set({ [checkpointKey]: entry });
+    } catch (error) {
+      console.warn('Multi-Platform Chat Monitor: Could not checkpoint session:', error.message);
+    }
+  }
+
+  async finalize(reason = 'end') {
+    if (!this.isActive()) return null;
+
+    // Mark finalized first so overlapping exit paths cannot save the session twice
+    this.finalized = true;
+    this.stopCheckpoints();
+
+    if (!this.hasExtensionContext()) {
+      console.warn('Multi-Platform Chat Monitor: Extension context invalidated, session left for recovery');
+      return null;
+    }
+
+    // Callers reset the monitor and start the next session without awaiting this, so
+    // everything the save needs is captured before the first await
+    const sessionEntry = { ...this.buildEntry(), endReason: reason };
+    const checkpointKey = this.checkpointKey;
+    const hashing = this.addChatterHashes(sessionEntry, Array.from(this.monitor.uniqueChatters), this.chatterHashes);
+    if (hashing) await hashing;
+
+    // The background saves the entry and clears the checkpoint together, so a tab
+    // that dies mid-save leaves either a saved session or a recoverable checkpoint
+    const savePromise = chrome.runtime.sendMessage({
+      type: 'SAVE_SESSION',
+      session: sessionEntry,
+      checkpointKey
+    }).then(response => {
+      if (!response || !response.success) {
+        throw new Error((response && response.error) || 'Session save failed');
+      }
+      return response.id;
+    });
+
+    const timeoutPromise = new Promise((_, reject) => {
+      setTimeout(() => reject(new Error('Save timeout')), 5000);
+    });
+
+    try {
+      await Promise.race([savePromise, timeoutPromise]);
+      console.log(`Multi-Platform Chat Monitor: Session data saved (${reason})`, sessionEntry);
+      return sessionEntry;
+    } catch (error) {
+      console.warn(`Multi-Platform Chat Monitor: Could not save session data (${reason}), checkpoint kept for recovery:`, error.message);
+      return null;
+    }
+  }
+
+  stopCheckpoints() {
+    if (this.checkpointInterval) {
+      clearInterval(this.checkpointInterval);
+      this.checkpointInterval = null;
+    }
+  }
+
+  requestRecovery() {
+    if (!this.hasExtensionContext()) return;
+
+    chrome.runtime.sendMessage({ type: 'RECOVER_SESSIONS' }).catch(error => {
+      console.warn('Multi-Platform Chat Monitor: Could not request session recovery:', error.message);
+    });
+  }
+
+  static async recoverOrphanedSessions(saveSession, now = Date.now()) {
+    // Finalize checkpoints whose tab stopped updating them
+    const stored = await chrome.storage.local.get(null);
+    const orphanKeys = Object.keys(stored).filter(key =>
+      key.startsWith(SessionLifecycle.CHECKPOINT_PREFIX) &&
+      now - (stored[key].checkpointedAt || 0) > SessionLifecycle.ORPHAN_AFTER_MS
+    );
+
+    for (const key of orphanKeys) {
+      const { checkpointedAt, ...entry } = stored[key];
+      await saveSession({ ...entry, endReason: 'recovered' });
+      await chrome.storage.local.remove(key);
+    }
+
+    return orphanKeys.length;
+  }
+}
@@ -0,0 +1,160 @@
+// Stream Chat Analyser - Viewer Count Parsing
+// Locale-aware parsing of the viewer counts platforms render ("1,234",
+// "1.2K", "12,3 k", "1,2 Mio.", "3.4万") and a validator that holds back
+// implausible jumps before they reach session averages
+
+class ViewerCountParser {
+  // Compact-notation suffixes and their multipliers, longest first when matched
+  static get SUFFIXES() {
+    return [
+      ['thousand', 1e3], ['tausend', 1e3], ['tsd.', 1e3], ['tsd', 1e3], ['mil', 1e3], ['tys.', 1e3], ['tys', 1e3],
+      ['тыс.', 1e3], ['тыс', 1e3], ['bin', 1e3], ['rb', 1e3], ['k', 1e3], ['千', 1e3], ['천', 1e3],
+      ['万', 1e4], ['萬', 1e4], ['만', 1e4],
+      ['lakh', 1e5], ['लाख', 1e5],
+      ['million', 1e6], ['millionen', 1e6], ['millions', 1e6], ['mio.', 1e6], ['mio', 1e6], ['mln', 1e6], ['млн', 1e6],
+      ['mi', 1e6], ['m', 1e6], ['crore', 1e7], ['億', 1e8], ['亿', 1e8], ['억', 1e8],
+      ['billion', 1e9], ['mrd.', 1e9], ['mrd', 1e9], ['bn', 1e9], ['b', 1e9]
+    ].sort((a, b) => b[0].length - a[0].length);
+  }
+
+  // Words that mark a number as a live viewer count, for broad selectors that could match anything
+  static get LABEL_PATTERN() {
+    return /watching|viewers?|zuschauer|spectateurs|espectadores|spettatori|assistindo|viendo|kijkers|izleyici|widz|oglądając|зрител|смотр|視聴|观看|觀看|시청/i;
+  }
+
+  static getDecimalSeparator(locale) {
+    try {
+      const part = new Intl.NumberFormat(locale).formatToParts(1.1).find(p => p.type === 'decimal');
+      return part ? part.value : '.';
+    } catch (error) {
+      return '.';
+    }
+  }
+
+  static normalizeDigits(text) {
+    // Arabic-Indic, Persian and full-width digits to ASCII
+    return text.replace(/[\u0660-\u0669\u06F0-\u06F9\uFF10-\uFF19]/g, digit => {
+      const code = digit.charCodeAt(0);
+      if (code >= 0xFF10) return String(code - 0xFF10);
+      if (code >= 0x06F0) return String(code - 0x06F0);
+      return String(code - 0x0660);
+    }).replace(/\u066B/g, '.').replace(/\u066C/g, ',');
+  }
+
+  static parse(text, locale = 'en') {
+    // Returns the first count in the text, or null when there is none
+    const value = ViewerCountParser.normalizeDigits(text || '');
+    const match = value.match(/(\d{1,3}(?:[,.'\s]\d{3})+(?:[.,]\d+)?|\d+(?:[.,]\d+)?)\s*([^\s\d]*)/);
+    if (!match) return null;
+
+    const multiplier = ViewerCountParser.getMultiplier(match[2]);
+    const number = ViewerCountParser.parseNumber(match[1], multiplier > 1, ViewerCountParser.getDecimalSeparator(locale));
+    if (number === null) return null;
+
+    return Math.round(number * multiplier);
+  }
+
+  static getMultiplier(word) {
+    const value = (word || '').toLowerCase();
+    if (!value) return 1;
+
+    for (const [suffix, multiplier] of ViewerCountParser.SUFFIXES) {
+      // Whole-word match ("k", "k.") so a label such as "kijkers" is not read as thousands
+      const isCjk = /^[万萬億亿千만천억]/.test(suffix); // No space before the following word ("3.4万人")
+      if (value === suffix || value === `${suffix}.` || (isCjk && value.startsWith(suffix))) {
+        return multiplier;
+      }
+    }
+    return 1;
+  }
+
+  static parseNumber(digits, compact, decimalSeparator) {
+    const separators = digits.match(/[,.'\s]/g) || [];
+    if (separators.length === 0) return parseInt(digits, 10);
+
+    const lastSeparator = separators[separators.length - 1];
+    const lastIndex = digits.lastIndexOf(lastSeparator);
+    const fraction = digits.slice(lastIndex + 1);
+
+    // The last separator is a decimal point for compact values ("1,2 Mio.", "12.5K")
+    // and for plain values only when it is the locale's decimal separator and not
+    // followed by a 3-digit group. Counts are whole, so a plain fraction is dropped.
+    const isDecimal = /[.,]/.test(lastSeparator) && (
+      (compact && (separators.length === 1 || fraction.length <= 2)) ||
+      (lastSeparator === decimalSeparator && fraction.length !== 3)
+    );
+
+    const integerPart = (isDecimal ? digits.slice(0, lastIndex) : digits).replace(/[^\d]/g, '');
+    if (!integerPart) return null;
+
+    const number = parseInt(integerPart, 10);
+    return isDecimal ? number + parseFloat(`0.${fraction}`) : number;
+  }
+
+  static hasViewerLabel(text) {
+    return ViewerCountParser.LABEL_PATTERN.test(text || '');
+  }
+}
+
+class ViewerCountValidator {
+  constructor({
+    maxCount = 20000000,  // Above the largest live audiences on any platform
+    maxJumpFactor = 4,    // A reading this many times above/below the recent median is suspect...
+    confirmReadings = 2,  // ...until this many consecutive readings agree with it (e.g. a raid)
+    historySize = 6
+  } = {}) {
+    this.maxCount = maxCount;
+    this.maxJumpFactor = maxJumpFactor;
+    this.confirmReadings = confirmReadings;
+    this.historySize = historySize;
+    this.reset();
+  }
+
+  reset() {
+    this.recent = [];  // Accepted readings, oldest first
+    this.pending = []; // Suspect readings waiting for confirmation
+  }
+
+  accept(count) {
+    // Returns the count when plausible, otherwise 0 (treated as "no reading")
+    if (!Number.isFinite(count) || count <= 0 || count > this.maxCount) return 0;
+
+    const median = this.getMedian();
+    const ratio = median ? Math.max(count / median, median / count) : 1;
+
+    if (ratio <= this.maxJumpFactor) {
+      this.pending = [];
+      return this.record(count);
+    }
+
+    // Only consecutive suspect readings that agree with each other confirm a real jump
+    const last = this.pending[this.pending.length - 1];
+    if (last && Math.max(count / last, last / count) > 1.5) {
+      this.pending = [];
+    }
+    this.pending.push(count);
+    console.log('Multi-Platform Chat Monitor: Holding back implausible viewer count', count, 'recent median', median);
+
+    if (this.pending.length >= this.confirmReadings) {
+      this.recent = this.pending.slice();
+      this.pending = [];
+      return count;
+    }
+    return 0;
+  }
+
+  record(count) {
+    this.recent.push(count);
+    if (this.recent.length > this.historySize) {
+      this.recent.shift();
+    }
+    return count;
+  }
+
+  getMedian() {
+    if (this.recent.length === 0) return null;
+    const sorted = this.recent.slice().sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+  }
+}